@@ -0,0 +1,204 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Crash-safe writes and a cross-process lock for files that several steps
+// or processes update: batch state, run manifests and FileDB records.
+
+// Write to a temporary file and rename, so readers and crashes never see
+// a partly written file. The temporary name is dot-prefixed, ends in .tmp
+// and carries the pid, so concurrent writers never share one.
+function tmpPathFor(filePath) {
+    return path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+}
+
+function writeFileAtomicSync(filePath, data) {
+    const tmpPath = tmpPathFor(filePath);
+    fs.writeFileSync(tmpPath, data);
+    fs.renameSync(tmpPath, filePath);
+}
+
+async function writeFileAtomic(filePath, data) {
+    const tmpPath = tmpPathFor(filePath);
+    await fs.promises.writeFile(tmpPath, data);
+    await fs.promises.rename(tmpPath, filePath);
+}
+
+// Pid of the writer of a temporary file from tmpPathFor(), or null
+function tmpFileOwner(fileName) {
+    const match = /^\..*\.(\d+)\.tmp$/.exec(fileName);
+    return match ? Number(match[1]) : null;
+}
+
+function processRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+// A lock is a lease: one not renewed for LOCK_LEASE_MS, or left by a
+// process on this host that no longer runs, is taken over. withLock()
+// renews its lease while fn runs; withLockSync() cannot, so its critical
+// sections must stay well under the lease.
+const LOCK_LEASE_MS = 10000;
+const LOCK_TIMEOUT_MS = 15000;
+const LOCK_RETRY_MS = 20;
+
+// The lock file as { content, ino, mtimeMs }, or null when there is none
+function snapshotLock(filePath) {
+    try {
+        const stat = fs.statSync(filePath);
+        return { content: fs.readFileSync(filePath, 'utf8'), ino: stat.ino, mtimeMs: stat.mtimeMs };
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+function isStale(snapshot) {
+    if (Date.now() - snapshot.mtimeMs > LOCK_LEASE_MS) return true;
+    let lock;
+    try {
+        lock = JSON.parse(snapshot.content);
+    } catch (error) {
+        return false; // being written, or garbage: judged by its age alone
+    }
+    return lock.hostname === os.hostname() && Number.isInteger(lock.pid) && !processRunning(lock.pid);
+}
+
+function sameLock(a, b) {
+    return a !== null && b !== null && a.ino === b.ino && a.content === b.content;
+}
+
+// Replace the lock judged stale with ours in one rename, so the lock file
+// never goes missing for a plain acquire to slip in. Processes that judged
+// the same lock stale first race for a claim file named after its inode;
+// only the winner renames, after checking the lock is still the one judged.
+function takeOverStaleLock(lockPath, judged, token) {
+    const claimPath = `${lockPath}.${judged.ino}.takeover`;
+    try {
+        fs.writeFileSync(claimPath, token, { flag: 'wx' });
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        removeAbandonedClaim(claimPath);
+        return null;
+    }
+    try {
+        if (!sameLock(snapshotLock(lockPath), judged)) return null;
+        const tmpPath = tmpPathFor(lockPath);
+        fs.writeFileSync(tmpPath, token);
+        fs.renameSync(tmpPath, lockPath);
+        return ownsLock(lockPath, token) ? token : null;
+    } finally {
+        fs.rmSync(claimPath, { force: true });
+    }
+}
+
+// A claim is held for a few milliseconds, so one that is stale by the lock
+// rules was left by a crash. Whoever removes it claims only on a later
+// attempt, after the retry pause.
+function removeAbandonedClaim(claimPath) {
+    const claim = snapshotLock(claimPath);
+    if (claim && isStale(claim) && sameLock(snapshotLock(claimPath), claim)) {
+        try {
+            fs.unlinkSync(claimPath);
+        } catch (error) {
+            // removed by another process
+        }
+    }
+}
+
+// One attempt at the lock: our token (the lock file's content) when it is
+// now ours, else null
+function tryAcquire(lockPath) {
+    const token = JSON.stringify({
+        pid: process.pid,
+        hostname: os.hostname(),
+        acquiredAt: new Date().toISOString()
+    });
+    try {
+        fs.writeFileSync(lockPath, token, { flag: 'wx' });
+        return token;
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+    }
+    const snapshot = snapshotLock(lockPath);
+    return snapshot && isStale(snapshot) ? takeOverStaleLock(lockPath, snapshot, token) : null;
+}
+
+function ownsLock(lockPath, token) {
+    const snapshot = snapshotLock(lockPath);
+    return snapshot !== null && snapshot.content === token;
+}
+
+// Only our own lock is removed: after a lost lease it may be someone else's
+function release(lockPath, token) {
+    if (!ownsLock(lockPath, token)) return;
+    try {
+        fs.unlinkSync(lockPath);
+    } catch (error) {
+        // already gone
+    }
+}
+
+function timeoutError(lockPath) {
+    return new Error(`Timed out waiting for the lock ${lockPath} (delete it if no other process is writing)`);
+}
+
+// Run fn (sync or async) while holding the lock file lockPath
+async function withLock(lockPath, fn) {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    let token;
+    while (!(token = tryAcquire(lockPath))) {
+        if (Date.now() > deadline) throw timeoutError(lockPath);
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS * (1 + Math.random())));
+    }
+
+    // Renew the lease by touching the lock while it is still ours
+    const renewal = setInterval(() => {
+        try {
+            if (ownsLock(lockPath, token)) {
+                const now = new Date();
+                fs.utimesSync(lockPath, now, now);
+            }
+        } catch (error) {
+            // released or taken over meanwhile
+        }
+    }, LOCK_LEASE_MS / 3);
+    renewal.unref();
+
+    try {
+        return await fn();
+    } finally {
+        clearInterval(renewal);
+        release(lockPath, token);
+    }
+}
+
+// Blocking version for synchronous callers; fn must be synchronous
+function withLockSync(lockPath, fn) {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    const pause = new Int32Array(new SharedArrayBuffer(4));
+    let token;
+    while (!(token = tryAcquire(lockPath))) {
+        if (Date.now() > deadline) throw timeoutError(lockPath);
+        Atomics.wait(pause, 0, 0, LOCK_RETRY_MS * (1 + Math.random()));
+    }
+    try {
+        return fn();
+    } finally {
+        release(lockPath, token);
+    }
+}
+
+module.exports = {
+    writeFileAtomic,
+    writeFileAtomicSync,
+    tmpFileOwner,
+    processRunning,
+    withLock,
+    withLockSync
+};
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const { startStep, stepOptions } = require('./provenance');
+
+// Additive synthesis of the audio plan from multimodal-transform.js.
+// Each color becomes one note: a fundamental plus four harmonics weighted
+// by colorToTimbre(), scaled by colorToAmplitude() and shaped by a short
+// attack/release envelope so consecutive notes don't click.
+
+function noteCount(audio) {
+    return audio.structure.frequencies.length;
+}
+
+// options: sampleRate (default 44100), attack and release in seconds
+function synthesize(audio, options = {}) {
+    const sampleRate = Math.round(options.sampleRate) || 44100;
+    const attack = options.attack ?? 0.01;
+    const release = options.release ?? 0.03;
+    const { frequencies, amplitudes, timbre } = audio.structure;
+
+    const notes = noteCount(audio);
+    const totalSamples = Math.round(audio.duration * sampleRate);
+    const samples = new Float32Array(totalSamples);
+    if (notes === 0) return samples;
+
+    const noteSamples = totalSamples / notes;
+    const nyquist = sampleRate / 2;
+
+    for (let n = 0; n < notes; n++) {
+        const start = Math.round(n * noteSamples);
+        const end = Math.round((n + 1) * noteSamples);
+        const length = end - start;
+
+        // Partials: the fundamental, then harmonics 2f..5f, dropping any
+        // that would alias above Nyquist
+        const partials = [timbre[n].fundamentalWeight, ...timbre[n].harmonicWeights]
+            .map((weight, k) => ({ frequency: frequencies[n] * (k + 1), weight }))
+            .filter(p => p.frequency < nyquist && p.weight > 0);
+        const totalWeight = partials.reduce((sum, p) => sum + p.weight, 0);
+        if (totalWeight === 0) continue;
+
+        const attackSamples = Math.min(length / 2, attack * sampleRate);
+        const releaseSamples = Math.min(length / 2, release * sampleRate);
+
+        for (let i = 0; i < length; i++) {
+            const t = i / sampleRate;
+            let value = 0;
+            for (const p of partials) {
+                value += p.weight * Math.sin(2 * Math.PI * p.frequency * t);
+            }
+
+            let envelope = 1;
+            if (i < attackSamples) envelope = i / attackSamples;
+            else if (i >= length - releaseSamples) envelope = (length - i) / releaseSamples;
+
+            samples[start + i] = (value / totalWeight) * amplitudes[n] * envelope;
+        }
+    }
+
+    // Leave some headroom
+    let peak = 0;
+    for (const s of samples) peak = Math.max(peak, Math.abs(s));
+    if (peak > 0.9) {
+        const gain = 0.9 / peak;
+        for (let i = 0; i < samples.length; i++) samples[i] *= gain;
+    }
+
+    return samples;
+}
+
+// Mono 16-bit PCM WAV
+function encodeWav(samples, sampleRate) {
+    const dataSize = samples.length * 2;
+    const buffer = Buffer.alloc(44 + dataSize);
+
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.writeUInt32LE(36 + dataSize, 4);
+    buffer.write('WAVE', 8, 'ascii');
+    buffer.write('fmt ', 12, 'ascii');
+    buffer.writeUInt32LE(16, 16);             // fmt chunk size
+    buffer.writeUInt16LE(1, 20);              // PCM
+    buffer.writeUInt16LE(1, 22);              // mono
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * 2, 28); // byte rate
+    buffer.writeUInt16LE(2, 32);              // block align
+    buffer.writeUInt16LE(16, 34);             // bits per sample
+    buffer.write('data', 36, 'ascii');
+    buffer.writeUInt32LE(dataSize, 40);
+
+    for (let i = 0; i < samples.length; i++) {
+        const s = Math.max(-1, Math.min(1, samples[i]));
+        buffer.writeInt16LE(Math.round(s < 0 ? s * 0x8000 : s * 0x7fff), 44 + i * 2);
+    }
+
+    return buffer;
+}
+
+// options.source names the file the audio plan came from, for the run manifest
+function renderWav(audio, outputPath, options = {}) {
+    const step = startStep('synth', { options: stepOptions(options) });
+    const sampleRate = Math.round(options.sampleRate) || 44100;
+    const samples = synthesize(audio, { ...options, sampleRate });
+    fs.writeFileSync(outputPath, encodeWav(samples, sampleRate));
+    step.finish({ inputs: options.source ? [options.source] : [], outputs: [outputPath] });
+    console.log(`Rendered ${noteCount(audio)} notes (${audio.duration}s at ${sampleRate} Hz) to ${outputPath}`);
+    return outputPath;
+}
+
+module.exports = {
+    synthesize,
+    encodeWav,
+    renderWav
+};
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const { run } = require('./minimal-color-generator');
+const { createModelProvider } = require('./model-provider');
+const { loadTemplates, renderTemplate, templateStamp } = require('./prompt-templates');
+const { writeFileAtomicSync } = require('./atomic-file');
+
+// Runs every prompt of a JSONL file through minimal-color-generator.js.
+// Each line is {"prompt": "...", "id": "...", "model": "..."} (id and model
+// optional), {"template": "name[@version]", "variables": {...}, ...} to
+// render a prompt-templates.js template, or a bare JSON string. Outputs
+// for a prompt go to <outputDir>/<id>/, and <outputDir>/batch-state.json
+// tracks each prompt's status so rerunning the same batch skips the ones
+// already done.
+
+const STATE_FILE = 'batch-state.json';
+
+// HTTP statuses and network errors worth retrying; anything else (bad
+// request, missing API key) fails the prompt straight away
+const TRANSIENT_STATUSES = [408, 429, 500, 502, 503, 504];
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+const TRANSIENT_MESSAGE = /rate limit|quota|timed? ?out|unavailable|overloaded|fetch failed|socket hang up/i;
+
+function isTransientError(error) {
+    const status = error.status || (error.response && error.response.status);
+    return TRANSIENT_STATUSES.includes(status) ||
+        TRANSIENT_CODES.includes(error.code) ||
+        TRANSIENT_MESSAGE.test(error.message || '');
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// "Order to chaos #2" -> "order-to-chaos-2"
+function safeId(id) {
+    return String(id).replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^[-.]+|-+$/g, '') || 'prompt';
+}
+
+// templatesFile: template library for "template" lines (default
+// prompt-templates.json)
+function readPrompts(filePath, templatesFile) {
+    const ids = new Set();
+    let library = null;
+    const prompts = [];
+
+    fs.readFileSync(filePath, 'utf8').split(/\r?\n/).forEach((line, i) => {
+        if (line.trim() === '') return;
+
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`${filePath}:${i + 1}: not valid JSON (${error.message})`);
+        }
+        if (typeof entry === 'string') entry = { prompt: entry };
+        let prompt = entry && entry.prompt;
+        if (entry && typeof entry.template === 'string') {
+            library = library || loadTemplates(templatesFile);
+            try {
+                prompt = renderTemplate(library, entry.template, entry.variables);
+            } catch (error) {
+                throw new Error(`${filePath}:${i + 1}: ${error.message}`);
+            }
+        } else if (typeof prompt !== 'string' || prompt.trim() === '') {
+            throw new Error(`${filePath}:${i + 1}: expected a "prompt" string or a "template" name`);
+        }
+
+        const id = safeId(entry.id !== undefined ? entry.id : `prompt-${String(i + 1).padStart(4, '0')}`);
+        if (ids.has(id)) {
+            throw new Error(`${filePath}:${i + 1}: duplicate id "${id}"`);
+        }
+        ids.add(id);
+        prompts.push({ id, prompt, model: entry.model });
+    });
+
+    return prompts;
+}
+
+function loadState(statePath, inputFilePath) {
+    if (!fs.existsSync(statePath)) {
+        return { input: path.resolve(inputFilePath), prompts: {} };
+    }
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    if (state.input !== path.resolve(inputFilePath)) {
+        throw new Error(`${statePath} belongs to a batch over ${state.input}; use another output directory`);
+    }
+    return state;
+}
+
+// Atomic, so an interrupted write never leaves a truncated state file behind
+function saveState(statePath, state) {
+    writeFileAtomicSync(statePath, JSON.stringify(state, null, 2));
+}
+
+// Spaces out request starts so there are at most `perMinute` per minute
+// across all workers
+function createRateLimiter(perMinute) {
+    const interval = perMinute > 0 ? 60000 / perMinute : 0;
+    let next = 0;
+
+    return async function waitForSlot() {
+        const now = Date.now();
+        const slot = Math.max(now, next);
+        next = slot + interval;
+        if (slot > now) await sleep(slot - now);
+    };
+}
+
+// options:
+//   outputDir    batch directory (default "batch-output")
+//   concurrency  prompts in flight at once (default 2)
+//   rateLimit    requests per minute across the batch, retries included
+//                (default 0, unlimited)
+//   retries      retries of a transient failure (default 3)
+//   retryDelay   first backoff in ms, doubled per retry with jitter and
+//                capped at maxRetryDelay (defaults 1000 and 30000)
+//   templatesFile  template library for "template" lines
+//   provider, model, decoding, mapping: passed to run()
+async function runBatch(inputFilePath, options = {}) {
+    const outputDir = options.outputDir || 'batch-output';
+    const concurrency = Math.max(1, Math.round(options.concurrency) || 2);
+    const retries = options.retries ?? 3;
+    const retryDelay = options.retryDelay ?? 1000;
+    const maxRetryDelay = options.maxRetryDelay ?? 30000;
+    const waitForSlot = createRateLimiter(options.rateLimit || 0);
+
+    const prompts = readPrompts(inputFilePath, options.templatesFile);
+    fs.mkdirSync(outputDir, { recursive: true });
+    const statePath = path.join(outputDir, STATE_FILE);
+    const state = loadState(statePath, inputFilePath);
+    const provider = options.provider || createModelProvider();
+
+    const queue = prompts.filter(({ id }) => !state.prompts[id] || state.prompts[id].status !== 'done');
+    const skipped = prompts.length - queue.length;
+    if (skipped > 0) {
+        console.log(`Resuming batch: ${skipped} of ${prompts.length} prompts already done`);
+    }
+
+    function update(id, changes) {
+        state.prompts[id] = { ...state.prompts[id], ...changes };
+        saveState(statePath, state);
+    }
+
+    async function runPrompt({ id, prompt, model }) {
+        const promptDir = path.join(outputDir, id);
+        const previousAttempts = (state.prompts[id] && state.prompts[id].attempts) || 0;
+        update(id, {
+            status: 'running',
+            outputDir: promptDir,
+            template: typeof prompt === 'string' ? null : templateStamp(prompt),
+            startedAt: new Date().toISOString(),
+            error: null
+        });
+
+        for (let attempt = 1; ; attempt++) {
+            await waitForSlot();
+            try {
+                const stats = await run(prompt, {
+                    provider,
+                    model: model || options.model,
+                    outputDir: promptDir,
+                    decoding: options.decoding,
+                    mapping: options.mapping
+                });
+                update(id, {
+                    status: 'done',
+                    attempts: previousAttempts + attempt,
+                    finishedAt: new Date().toISOString(),
+                    colorCount: stats.colorCount,
+                    strategy: stats.strategy
+                });
+                console.log(`[${id}] done (${stats.colorCount} colors)`);
+                return true;
+            } catch (error) {
+                if (attempt > retries || !isTransientError(error)) {
+                    update(id, {
+                        status: 'failed',
+                        attempts: previousAttempts + attempt,
+                        finishedAt: new Date().toISOString(),
+                        error: error.message
+                    });
+                    console.error(`[${id}] failed after ${attempt} attempt(s): ${error.message}`);
+                    return false;
+                }
+                const delay = Math.min(maxRetryDelay, retryDelay * 2 ** (attempt - 1)) * (0.5 + Math.random() / 2);
+                console.warn(`[${id}] transient failure (${error.message}), retrying in ${Math.round(delay)} ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    // Workers pull from the shared queue until it is empty
+    let next = 0;
+    const results = { done: 0, failed: 0, skipped };
+    async function worker() {
+        while (next < queue.length) {
+            const ok = await runPrompt(queue[next++]);
+            results[ok ? 'done' : 'failed']++;
+        }
+    }
+    await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+    console.log(`Batch finished: ${results.done} done, ${results.failed} failed, ${results.skipped} skipped (state in ${statePath})`);
+    return { ...results, statePath };
+}
+
+module.exports = {
+    isTransientError,
+    readPrompts,
+    runBatch
+};
+
+if (require.main === module) {
+    const inputFile = process.argv[2];
+    const outputDir = process.argv[3];
+
+    if (!inputFile) {
+        console.error("Usage: node batch-runner.js <prompts.jsonl> [output-dir]");
+        process.exit(1);
+    }
+
+    runBatch(inputFile, { outputDir }).then(results => {
+        if (results.failed > 0) process.exitCode = 1;
+    }).catch(error => {
+        console.error("Error:", error);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,201 @@
+// Turning arbitrary text into colors, in two steps: a decoding turns the
+// text into bytes (0-255) and a mapping turns the bytes into {r, g, b}
+// colors. Both are registries keyed by name, so new ones can be added with
+// registerDecoding() / registerMapping() and picked by name from the CLI.
+//
+// Runs unchanged in Node and the browser (load before color-visualization.js).
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.ByteMapping = api;
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_DECODING = 'utf8';
+    const DEFAULT_MAPPING = 'rgb';
+
+    // name -> (text) => array of bytes
+    const DECODINGS = {
+        // The UTF-8 encoding of the text; non-ASCII characters become
+        // several bytes
+        utf8: text => Array.from(new TextEncoder().encode(text)),
+
+        // One byte per Unicode code point, keeping its low 8 bits
+        codepoints: text => Array.from(text, char => char.codePointAt(0) & 0xff),
+
+        // The payload of a base64 (or base64url / data: URL) response
+        base64: text => {
+            let payload = text.trim().replace(/^data:[^,]*;base64,/, '')
+                .replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+            payload = payload.padEnd(Math.ceil(payload.length / 4) * 4, '=');
+            let binary;
+            try {
+                binary = atob(payload);
+            } catch (error) {
+                throw new Error('Text is not valid base64');
+            }
+            return Array.from(binary, char => char.charCodeAt(0));
+        }
+    };
+
+    // h, s and v in 0-1
+    function hsvToColor(h, s, v) {
+        let r, g, b;
+        const i = Math.floor(h * 6);
+        const f = h * 6 - i;
+        const p = v * (1 - s);
+        const q = v * (1 - f * s);
+        const t = v * (1 - (1 - f) * s);
+
+        switch (i % 6) {
+            case 0: r = v; g = t; b = p; break;
+            case 1: r = q; g = v; b = p; break;
+            case 2: r = p; g = v; b = t; break;
+            case 3: r = p; g = q; b = v; break;
+            case 4: r = t; g = p; b = v; break;
+            case 5: r = v; g = p; b = q; break;
+        }
+
+        return { r: Math.round(r * 255), g: Math.round(g * 255), b: Math.round(b * 255) };
+    }
+
+    // Every byte sequence of minLength..maxLength (default 2..8) that occurs
+    // at least minCount (default 2) times, overlaps included. Windows of each
+    // length are bucketed by a rolling polynomial hash and compared against
+    // the bucket's patterns, so the cost is linear in the input per length.
+    // Returns { sequence, count, positions } ordered by length, then by
+    // first occurrence.
+    function findPatterns(bytes, options = {}) {
+        const { minLength = 2, maxLength = 8, minCount = 2 } = options;
+        const MOD = 1000000007;
+        const BASE = 257; // prime above any byte value
+        const patterns = [];
+
+        function sameWindow(a, b, len) {
+            for (let k = 0; k < len; k++) {
+                if (bytes[a + k] !== bytes[b + k]) return false;
+            }
+            return true;
+        }
+
+        for (let len = minLength; len <= Math.min(maxLength, bytes.length); len++) {
+            // BASE^(len - 1), used to drop the outgoing byte
+            let high = 1;
+            for (let k = 1; k < len; k++) high = (high * BASE) % MOD;
+
+            let hash = 0;
+            for (let k = 0; k < len; k++) hash = (hash * BASE + bytes[k]) % MOD;
+
+            const buckets = new Map();
+            const found = [];
+            for (let i = 0; ; i++) {
+                const bucket = buckets.get(hash) || [];
+                let group = bucket.find(g => sameWindow(g.positions[0], i, len));
+                if (!group) {
+                    group = { positions: [] };
+                    bucket.push(group);
+                    buckets.set(hash, bucket);
+                    found.push(group);
+                }
+                group.positions.push(i);
+
+                if (i + len >= bytes.length) break;
+                hash = (hash - (bytes[i] * high) % MOD + MOD) % MOD;
+                hash = (hash * BASE + bytes[i + len]) % MOD;
+            }
+
+            for (const group of found) {
+                if (group.positions.length >= minCount) {
+                    const start = group.positions[0];
+                    patterns.push({
+                        sequence: bytes.slice(start, start + len),
+                        count: group.positions.length,
+                        positions: group.positions
+                    });
+                }
+            }
+        }
+
+        return patterns;
+    }
+
+    // Average byte value of the pattern as a hue
+    function patternToColor(pattern) {
+        const sum = pattern.reduce((a, b) => a + b, 0);
+        const avg = sum / pattern.length;
+        return hsvToColor(avg / 255, 0.9, 0.9);
+    }
+
+    // name -> (bytes, options) => array of {r, g, b}. A color may carry a
+    // weight (pattern colors carry their occurrence count).
+    const MAPPINGS = {
+        // Bytes taken three at a time as RGB, the last triplet zero-padded
+        rgb: bytes => {
+            const colors = [];
+            for (let i = 0; i < bytes.length; i += 3) {
+                colors.push({ r: bytes[i] ?? 0, g: bytes[i + 1] ?? 0, b: bytes[i + 2] ?? 0 });
+            }
+            return colors;
+        },
+
+        // Each byte as a hue at fixed saturation and value
+        hue: bytes => bytes.map(byte => hsvToColor(byte / 255, 0.8, 0.9)),
+
+        // Each byte as a gray level
+        grayscale: bytes => bytes.map(byte => ({ r: byte, g: byte, b: byte })),
+
+        // One color per repeated byte pattern; options.patterns is passed
+        // to findPatterns(), or options.foundPatterns is its result for
+        // these bytes when the caller already has it
+        pattern: (bytes, options = {}) => (options.foundPatterns || findPatterns(bytes, options.patterns)).map(pattern => ({
+            ...patternToColor(pattern.sequence),
+            weight: pattern.count
+        }))
+    };
+
+    function lookup(registry, kind, name) {
+        if (!Object.prototype.hasOwnProperty.call(registry, name)) {
+            throw new Error(`Unknown ${kind} "${name}" (expected ${Object.keys(registry).join(', ')})`);
+        }
+        return registry[name];
+    }
+
+    function registerDecoding(name, decode) {
+        DECODINGS[name] = decode;
+    }
+
+    function registerMapping(name, map) {
+        MAPPINGS[name] = map;
+    }
+
+    function decodeBytes(text, decoding = DEFAULT_DECODING) {
+        return lookup(DECODINGS, 'decoding', decoding)(text);
+    }
+
+    function mapBytes(bytes, mapping = DEFAULT_MAPPING, options = {}) {
+        return lookup(MAPPINGS, 'mapping', mapping)(bytes, options);
+    }
+
+    // options: decoding and mapping names (default utf8 and rgb), plus
+    // options for the mapping
+    function textToColors(text, options = {}) {
+        return mapBytes(decodeBytes(text, options.decoding), options.mapping, options);
+    }
+
+    return {
+        DEFAULT_DECODING,
+        DEFAULT_MAPPING,
+        DECODINGS,
+        MAPPINGS,
+        registerDecoding,
+        registerMapping,
+        decodeBytes,
+        mapBytes,
+        textToColors,
+        hsvToColor,
+        findPatterns,
+        patternToColor
+    };
+}));
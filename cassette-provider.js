@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MODES = ['record', 'replay', 'auto'];
+
+// JSON.stringify with sorted keys, so the same config always hashes the same
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function cassetteKey(request) {
+    const keyed = {
+        prompt: request.prompt,
+        systemInstruction: request.systemInstruction || null,
+        model: request.model || null,
+        generationConfig: request.generationConfig || null
+    };
+    return crypto.createHash('sha256').update(stableStringify(keyed)).digest('hex');
+}
+
+// Wraps another provider and stores each response under a hash of the
+// request. "record" always calls through and saves, "replay" only reads
+// saved responses, "auto" replays when a cassette exists and records
+// otherwise. The inner provider is created lazily so replay needs no API key.
+class CassetteProvider {
+    constructor(createInner, options = {}) {
+        if (!MODES.includes(options.mode)) {
+            throw new Error(`Unknown cassette mode "${options.mode}" (expected ${MODES.join(', ')})`);
+        }
+        this.name = 'cassette';
+        this.mode = options.mode;
+        this.dir = options.dir || 'cassettes';
+        this.createInner = createInner;
+        this.inner = null;
+    }
+
+    cassettePath(request) {
+        return path.join(this.dir, `${cassetteKey(request)}.json`);
+    }
+
+    async generate(request) {
+        const file = this.cassettePath(request);
+
+        if (this.mode !== 'record' && fs.existsSync(file)) {
+            return JSON.parse(fs.readFileSync(file, 'utf8')).response;
+        }
+        if (this.mode === 'replay') {
+            throw new Error(`No cassette recorded for this request (${file})`);
+        }
+
+        if (!this.inner) this.inner = this.createInner();
+        const response = await this.inner.generate(request);
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({
+            key: path.basename(file, '.json'),
+            provider: this.inner.name,
+            recordedAt: new Date().toISOString(),
+            request: {
+                prompt: request.prompt,
+                systemInstruction: request.systemInstruction,
+                model: request.model,
+                generationConfig: request.generationConfig
+            },
+            response
+        }, null, 2));
+
+        return response;
+    }
+}
+
+module.exports = {
+    CassetteProvider,
+    cassetteKey,
+    stableStringify
+};
@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  generate    Ask the model for a color sequence (writes raw-response-*.txt and colors-*.csv)
+  batch       Run every prompt of a JSONL file through generate, resuming where a previous run stopped
+  combine     Merge a colors CSV and its raw response into one JSON file
+  animate     Render colors to a video (.mp4/.webm via ffmpeg, .gif/.png without)
+  transform   Build the multimodal (visual + audio) prompt from color data
+  export      Write the palette as .ase, .gpl, CSS variables, a Tailwind theme or an SVG swatch sheet
+  templates   List the prompt templates with their versions and variables
+  synth       Render the audio part of a multimodal prompt (or of color data) to a WAV file
+  lineage     Trace an artifact back through the run manifests to the prompt that produced it
+  metrics     Print the metrics report, or "metrics update" to record a new snapshot
+
+Shared options:
+  -i, --input <file>        Input file (colors CSV, combined JSON or raw response;
+                            synth also takes a multimodal prompt, batch a JSONL prompt file)
+  -o, --output <path>       Output file, or output directory for generate and batch
+  -p, --prompt-file <file>  Read the generation prompt from a file
+  -t, --template <name>     Render the generation prompt from a template, name or name@version
+                            (default order-to-chaos; see the templates command)
+  --var <name=value>        Template variable, repeatable
+  --templates-file <file>   Template library (default prompt-templates.json)
+  -m, --model <name>        Model name passed to the provider
+  --decoding <name>         How a response with no recognizable colors becomes bytes:
+                            utf8, codepoints (folded to 8 bits) or base64 (default utf8)
+  --mapping <name>          How those bytes become colors: rgb, hue, grayscale or
+                            pattern (default rgb)
+  --mapping-module <file>   Load a module that registers more decodings or mappings
+                            (see byte-mapping.js)
+  -h, --help                Show this help
+
+Command options:
+  batch      --concurrency <n>       Prompts in flight at once (default 2)
+             --rate-limit <n>        Requests per minute across the batch (default unlimited)
+             --retries <n>           Retries of a transient failure, with exponential backoff (default 3)
+  combine    --raw <file>            Raw response text (default: raw-response-<timestamp>.txt next to the CSV)
+  animate    --fps <n>               Frames per second (default 30)
+             --duration <s>          Video length in seconds (default 5)
+             --interpolation <mode>  rgb, hsl, lab or oklab (default rgb)
+             --easing <curve>        linear, ease-in, ease-out, ease-in-out, smoothstep, sine or step
+             --hold <n[,n...]>       Time each color is held, relative to one transition (default 0)
+             --loop                  Blend the last color back into the first
+             --layout <name>         solid, stripes, gradient, radial, grid or waveform (default solid)
+             --width <px>            Frame width (default 800)
+             --height <px>           Frame height (default 400)
+             --span <fraction>       Share of the sequence visible at once in gradient, radial
+                                     and waveform layouts (default 0.25)
+             --stripes <n>           Colors visible at once in the stripes layout (default up to 8)
+             --audio                 Add the sonified sequence as a soundtrack (.mp4/.webm only);
+                                     the length becomes one note per color and --duration is ignored
+             --note-duration <s>     Seconds per color with --audio (default 0.5)
+  transform  --transition-threshold <dE>  CIEDE2000 difference that counts as a major transition (default 20)
+             --clusters <n>          Number of dominant colors to find (default 5)
+             --mood-rules <file>     Mood rules file (default mood-rules.json)
+             --mood-window <n>       Colors per mood timeline window (default a fifth of the
+                                     sequence, at least 3)
+  export     --format <list>         Comma-separated ase, gpl, css, tailwind, svg (default from the
+                                     output extension); with several, each gets its own extension
+             --dominant              Export the clustered dominant colors instead of every distinct color
+             --clusters <n>          Number of dominant colors with --dominant (default 5)
+             --name <name>           Palette name (default the input file name)
+  synth      --sample-rate <hz>      Output sample rate (default 44100, also used by animate --audio)
+  lineage    --manifests <dir>       Another directory to search for run manifests, repeatable
+             --json                  Print the lineage tree as JSON
+  metrics    --db <dir>              Metrics database directory (default ai_metrics_db)
+
+Environment:
+  MODEL_PROVIDER=gemini|mock, MOCK_SEED, MOCK_RESPONSE_FILE
+  CASSETTE_MODE=record|replay|auto, CASSETTE_DIR
+  PROVENANCE=off            Do not write run-*.manifest.json files
+`;
+
+const OPTIONS = {
+    input: { type: 'string', short: 'i' },
+    output: { type: 'string', short: 'o' },
+    'prompt-file': { type: 'string', short: 'p' },
+    template: { type: 'string', short: 't' },
+    var: { type: 'string', multiple: true },
+    'templates-file': { type: 'string' },
+    model: { type: 'string', short: 'm' },
+    decoding: { type: 'string' },
+    mapping: { type: 'string' },
+    'mapping-module': { type: 'string' },
+    concurrency: { type: 'string' },
+    'rate-limit': { type: 'string' },
+    retries: { type: 'string' },
+    raw: { type: 'string' },
+    fps: { type: 'string' },
+    duration: { type: 'string' },
+    interpolation: { type: 'string' },
+    easing: { type: 'string' },
+    hold: { type: 'string' },
+    loop: { type: 'boolean' },
+    layout: { type: 'string' },
+    width: { type: 'string' },
+    height: { type: 'string' },
+    span: { type: 'string' },
+    stripes: { type: 'string' },
+    audio: { type: 'boolean' },
+    'note-duration': { type: 'string' },
+    'transition-threshold': { type: 'string' },
+    clusters: { type: 'string' },
+    'mood-rules': { type: 'string' },
+    'mood-window': { type: 'string' },
+    format: { type: 'string' },
+    dominant: { type: 'boolean' },
+    name: { type: 'string' },
+    'sample-rate': { type: 'string' },
+    manifests: { type: 'string', multiple: true },
+    json: { type: 'boolean' },
+    db: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+class UsageError extends Error {}
+
+// --var name=value (repeatable) -> { name: value }
+function parseVariables(values = []) {
+    const variables = {};
+    for (const pair of values) {
+        const separator = pair.indexOf('=');
+        if (separator <= 0) {
+            throw new UsageError(`--var expects name=value (got "${pair}")`);
+        }
+        variables[pair.slice(0, separator)] = pair.slice(separator + 1);
+    }
+    return variables;
+}
+
+// Decoding and mapping options for commands that read raw responses,
+// checked up front so a typo is a usage error rather than a late failure
+function byteOptions(options) {
+    const { DECODINGS, MAPPINGS } = require('./byte-mapping');
+    if (options.decoding && !DECODINGS[options.decoding]) {
+        throw new UsageError(`Unknown --decoding "${options.decoding}" (expected ${Object.keys(DECODINGS).join(', ')})`);
+    }
+    if (options.mapping && !MAPPINGS[options.mapping]) {
+        throw new UsageError(`Unknown --mapping "${options.mapping}" (expected ${Object.keys(MAPPINGS).join(', ')})`);
+    }
+    return { decoding: options.decoding, mapping: options.mapping };
+}
+
+function requireInput(options, command) {
+    if (!options.input) {
+        throw new UsageError(`${command} needs --input <file>`);
+    }
+    if (!fs.existsSync(options.input)) {
+        throw new Error(`Input file not found: ${options.input}`);
+    }
+    return options.input;
+}
+
+function parseNumber(value, name, fallback) {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+        throw new UsageError(`--${name} must be a positive number`);
+    }
+    return number;
+}
+
+// "1" -> 1, "0,2,1" -> [0, 2, 1]
+function parseHold(value) {
+    if (value === undefined) return 0;
+    const holds = value.split(',').map(Number);
+    if (holds.some(h => !Number.isFinite(h) || h < 0)) {
+        throw new UsageError('--hold must be a number or comma-separated list of numbers >= 0');
+    }
+    return holds.length === 1 ? holds[0] : holds;
+}
+
+const commands = {
+    async generate(options) {
+        const { run, DEFAULT_TEMPLATE } = require('./minimal-color-generator');
+        const { loadTemplates, renderTemplate } = require('./prompt-templates');
+        if (options['prompt-file'] && (options.template || options.var)) {
+            throw new UsageError('Use either --prompt-file or --template/--var, not both');
+        }
+        const prompt = options['prompt-file']
+            ? fs.readFileSync(options['prompt-file'], 'utf8')
+            : renderTemplate(loadTemplates(options['templates-file']), options.template || DEFAULT_TEMPLATE,
+                parseVariables(options.var));
+        await run(prompt, { model: options.model, outputDir: options.output, ...byteOptions(options) });
+    },
+
+    async batch(options) {
+        const { runBatch } = require('./batch-runner');
+        const retries = options.retries === undefined ? 3 : Number(options.retries);
+        if (!Number.isInteger(retries) || retries < 0) {
+            throw new UsageError('--retries must be a whole number >= 0');
+        }
+        const results = await runBatch(requireInput(options, 'batch'), {
+            outputDir: options.output || 'batch-output',
+            concurrency: Math.round(parseNumber(options.concurrency, 'concurrency', 2)),
+            rateLimit: parseNumber(options['rate-limit'], 'rate-limit', 0),
+            retries,
+            model: options.model,
+            templatesFile: options['templates-file'],
+            ...byteOptions(options)
+        });
+        if (results.failed > 0) {
+            throw new Error(`${results.failed} prompt(s) failed; rerun the same command to retry them`);
+        }
+    },
+
+    async combine(options) {
+        const { combineColorData } = require('./combine-data');
+        const csvFile = requireInput(options, 'combine');
+        // colors-<timestamp>.csv pairs with raw-response-<timestamp>.txt
+        const match = path.basename(csvFile).match(/^colors-(.*)\.csv$/);
+        const rawFile = options.raw ||
+            (match && path.join(path.dirname(csvFile), `raw-response-${match[1]}.txt`));
+        if (!rawFile) {
+            throw new UsageError('combine needs --raw <file> when the CSV is not named colors-<timestamp>.csv');
+        }
+        if (!fs.existsSync(rawFile)) {
+            throw new UsageError(`Raw response file not found: ${rawFile} (pass --raw <file>)`);
+        }
+        combineColorData(csvFile, rawFile, options.output || 'combined-data.json');
+    },
+
+    async animate(options) {
+        const { generateAnimation, generateSyncedVideo } = require('./generate-animation');
+        const input = requireInput(options, 'animate');
+        const output = options.output || 'output.mp4';
+        const fps = parseNumber(options.fps, 'fps', 30);
+        const animationOptions = {
+            ...byteOptions(options),
+            interpolation: options.interpolation,
+            easing: options.easing,
+            hold: parseHold(options.hold),
+            loop: options.loop,
+            layout: options.layout,
+            width: parseNumber(options.width, 'width', 800),
+            height: parseNumber(options.height, 'height', 400),
+            span: parseNumber(options.span, 'span', undefined),
+            stripes: options.stripes && Math.max(1, Math.round(parseNumber(options.stripes, 'stripes')))
+        };
+
+        if (options.audio) {
+            await generateSyncedVideo(input, output, fps, {
+                ...animationOptions,
+                noteDuration: parseNumber(options['note-duration'], 'note-duration', 0.5),
+                sampleRate: parseNumber(options['sample-rate'], 'sample-rate', 44100)
+            });
+        } else {
+            await generateAnimation(input, output, fps,
+                parseNumber(options.duration, 'duration', 5), animationOptions);
+        }
+    },
+
+    async transform(options) {
+        const { transformFile } = require('./multimodal-transform');
+        transformFile(requireInput(options, 'transform'), options.output || 'multimodal-prompt.json', {
+            ...byteOptions(options),
+            transitionThreshold: parseNumber(options['transition-threshold'], 'transition-threshold', 20),
+            clusters: Math.round(parseNumber(options.clusters, 'clusters', 5)),
+            moodRules: options['mood-rules'],
+            moodWindow: parseNumber(options['mood-window'], 'mood-window', undefined)
+        });
+    },
+
+    async export(options) {
+        const { exportPalette } = require('./palette-export');
+        const formats = options.format && options.format.split(',').map(f => f.trim());
+        if (!options.output && !formats) {
+            throw new UsageError('export needs --output <file> (its extension picks the format) or --format');
+        }
+        exportPalette(requireInput(options, 'export'), options.output || 'palette', {
+            ...byteOptions(options),
+            formats,
+            name: options.name,
+            dominant: options.dominant,
+            clusters: Math.round(parseNumber(options.clusters, 'clusters', 5))
+        });
+    },
+
+    async templates(options) {
+        const { loadTemplates } = require('./prompt-templates');
+        for (const template of loadTemplates(options['templates-file']).templates) {
+            const variables = Object.entries(template.variables || {})
+                .map(([name, spec]) => spec.default === undefined ? name : `${name}="${spec.default}"`);
+            console.log(`${template.name}@${template.version}  ${template.description || ''}`);
+            if (variables.length > 0) console.log(`    ${variables.join(', ')}`);
+        }
+    },
+
+    async synth(options) {
+        const { renderWav } = require('./audio-synth');
+        const { prepareMultimodalPrompt, readMultimodalPrompt } = require('./multimodal-transform');
+        const { readColorFile } = require('./color-parser');
+
+        // A multimodal prompt carries its audio plan; anything else is
+        // treated as color data and transformed first
+        const input = requireInput(options, 'synth');
+        let prompt = null;
+        try {
+            prompt = JSON.parse(fs.readFileSync(input, 'utf8'));
+        } catch (error) {
+            // Not JSON, so not a prompt
+        }
+        const audio = prompt && prompt.version !== undefined
+            ? readMultimodalPrompt(input).audio
+            : prepareMultimodalPrompt(readColorFile(input, byteOptions(options)).colors).audio;
+
+        renderWav(audio, options.output || 'sequence.wav', {
+            source: input,
+            sampleRate: parseNumber(options['sample-rate'], 'sample-rate', 44100)
+        });
+    },
+
+    async lineage(options) {
+        const { lineage, formatLineage } = require('./provenance');
+        const tree = lineage(requireInput(options, 'lineage'), { dirs: options.manifests });
+        console.log(options.json ? JSON.stringify(tree, null, 2) : formatLineage(tree));
+    },
+
+    async metrics(options, args) {
+        const AIMetricsSystem = require('./custom-metrics-db');
+        const metrics = new AIMetricsSystem(options.db);
+        await metrics.init();
+
+        const action = args[0] || 'report';
+        if (action === 'update') {
+            const id = await metrics.updateMetrics();
+            console.log(`Recorded metrics snapshot ${id}`);
+        } else if (action === 'report') {
+            console.log(JSON.stringify(await metrics.generateReport(), null, 2));
+        } else {
+            throw new UsageError(`Unknown metrics action "${action}" (expected report or update)`);
+        }
+    }
+};
+
+async function main(argv = process.argv.slice(2)) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const { values: options, positionals } = parsed;
+    const [command, ...args] = positionals;
+
+    if (options.help || !command) {
+        console.log(USAGE);
+        return command || options.help ? 0 : 2;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+        console.error(`Unknown command "${command}"\n\n${USAGE}`);
+        return 2;
+    }
+
+    try {
+        if (options['mapping-module']) {
+            require(path.resolve(options['mapping-module']));
+        }
+        await commands[command](options, args);
+        return 0;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`${error.message}\n\n${USAGE}`);
+            return 2;
+        }
+        console.error(`${command} failed: ${error.message}`);
+        return 1;
+    }
+}
+
+module.exports = { commands, main };
+
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    });
+}
@@ -0,0 +1,240 @@
+// Turns a model response into a list of {r, g, b} colors. Each strategy
+// is tried in order and the first one that finds colors wins; byte mode
+// (the text decoded to bytes and mapped to colors by byte-mapping.js) is
+// only used when nothing else matches.
+
+const fs = require('fs');
+const path = require('path');
+const { clampChannel, hslToRgb } = require('./color-space');
+const { DEFAULT_DECODING, DEFAULT_MAPPING, textToColors } = require('./byte-mapping');
+
+// CSS named colors
+const NAMED_COLORS = Object.fromEntries(`
+aliceblue:f0f8ff antiquewhite:faebd7 aqua:00ffff aquamarine:7fffd4 azure:f0ffff
+beige:f5f5dc bisque:ffe4c4 black:000000 blanchedalmond:ffebcd blue:0000ff
+blueviolet:8a2be2 brown:a52a2a burlywood:deb887 cadetblue:5f9ea0 chartreuse:7fff00
+chocolate:d2691e coral:ff7f50 cornflowerblue:6495ed cornsilk:fff8dc crimson:dc143c
+cyan:00ffff darkblue:00008b darkcyan:008b8b darkgoldenrod:b8860b darkgray:a9a9a9
+darkgreen:006400 darkgrey:a9a9a9 darkkhaki:bdb76b darkmagenta:8b008b darkolivegreen:556b2f
+darkorange:ff8c00 darkorchid:9932cc darkred:8b0000 darksalmon:e9967a darkseagreen:8fbc8f
+darkslateblue:483d8b darkslategray:2f4f4f darkslategrey:2f4f4f darkturquoise:00ced1 darkviolet:9400d3
+deeppink:ff1493 deepskyblue:00bfff dimgray:696969 dimgrey:696969 dodgerblue:1e90ff
+firebrick:b22222 floralwhite:fffaf0 forestgreen:228b22 fuchsia:ff00ff gainsboro:dcdcdc
+ghostwhite:f8f8ff gold:ffd700 goldenrod:daa520 gray:808080 green:008000
+greenyellow:adff2f grey:808080 honeydew:f0fff0 hotpink:ff69b4 indianred:cd5c5c
+indigo:4b0082 ivory:fffff0 khaki:f0e68c lavender:e6e6fa lavenderblush:fff0f5
+lawngreen:7cfc00 lemonchiffon:fffacd lightblue:add8e6 lightcoral:f08080 lightcyan:e0ffff
+lightgoldenrodyellow:fafad2 lightgray:d3d3d3 lightgreen:90ee90 lightgrey:d3d3d3 lightpink:ffb6c1
+lightsalmon:ffa07a lightseagreen:20b2aa lightskyblue:87cefa lightslategray:778899 lightslategrey:778899
+lightsteelblue:b0c4de lightyellow:ffffe0 lime:00ff00 limegreen:32cd32 linen:faf0e6
+magenta:ff00ff maroon:800000 mediumaquamarine:66cdaa mediumblue:0000cd mediumorchid:ba55d3
+mediumpurple:9370db mediumseagreen:3cb371 mediumslateblue:7b68ee mediumspringgreen:00fa9a mediumturquoise:48d1cc
+mediumvioletred:c71585 midnightblue:191970 mintcream:f5fffa mistyrose:ffe4e1 moccasin:ffe4b5
+navajowhite:ffdead navy:000080 oldlace:fdf5e6 olive:808000 olivedrab:6b8e23
+orange:ffa500 orangered:ff4500 orchid:da70d6 palegoldenrod:eee8aa palegreen:98fb98
+paleturquoise:afeeee palevioletred:db7093 papayawhip:ffefd5 peachpuff:ffdab9 peru:cd853f
+pink:ffc0cb plum:dda0dd powderblue:b0e0e6 purple:800080 rebeccapurple:663399
+red:ff0000 rosybrown:bc8f8f royalblue:4169e1 saddlebrown:8b4513 salmon:fa8072
+sandybrown:f4a460 seagreen:2e8b57 seashell:fff5ee sienna:a0522d silver:c0c0c0
+skyblue:87ceeb slateblue:6a5acd slategray:708090 slategrey:708090 snow:fffafa
+springgreen:00ff7f steelblue:4682b4 tan:d2b48c teal:008080 thistle:d8bfd8
+tomato:ff6347 turquoise:40e0d0 violet:ee82ee wheat:f5deb3 white:ffffff
+whitesmoke:f5f5f5 yellow:ffff00 yellowgreen:9acd32
+`.trim().split(/\s+/).map(entry => entry.split(':')));
+
+function hexToRgb(hex) {
+    let digits = hex.replace(/^#/, '');
+    if (digits.length === 3) {
+        digits = digits.split('').map(d => d + d).join('');
+    }
+    return {
+        r: parseInt(digits.slice(0, 2), 16),
+        g: parseInt(digits.slice(2, 4), 16),
+        b: parseInt(digits.slice(4, 6), 16)
+    };
+}
+
+// "128" or "50%" -> 0-255
+function parseRgbComponent(value) {
+    return value.endsWith('%')
+        ? clampChannel(parseFloat(value) * 2.55)
+        : clampChannel(parseFloat(value));
+}
+
+const HEX_PATTERN = /#([0-9a-f]{6}|[0-9a-f]{3})(?![0-9a-f])/gi;
+const RGB_PATTERN = /rgba?\(\s*([\d.]+%?)\s*[,\s]\s*([\d.]+%?)\s*[,\s]\s*([\d.]+%?)[^)]*\)/gi;
+const HSL_PATTERN = /hsla?\(\s*([\d.]+)(?:deg)?\s*[,\s]\s*([\d.]+)%\s*[,\s]\s*([\d.]+)%[^)]*\)/gi;
+
+// Parse a single color value found inside a JSON document
+function colorFromValue(value) {
+    if (Array.isArray(value) && value.length >= 3 && value.slice(0, 3).every(v => typeof v === 'number')) {
+        return { r: clampChannel(value[0]), g: clampChannel(value[1]), b: clampChannel(value[2]) };
+    }
+    if (value && typeof value === 'object') {
+        const r = value.r ?? value.red ?? value.R;
+        const g = value.g ?? value.green ?? value.G;
+        const b = value.b ?? value.blue ?? value.B;
+        if (r !== undefined && g !== undefined && b !== undefined) {
+            return { r: clampChannel(r), g: clampChannel(g), b: clampChannel(b) };
+        }
+        const nested = value.hex ?? value.color ?? value.rgb;
+        return nested !== undefined ? colorFromValue(nested) : null;
+    }
+    if (typeof value === 'string') {
+        const inline = parseInlineColors(value);
+        if (inline) return inline.colors[0];
+        const named = NAMED_COLORS[value.trim().toLowerCase()];
+        return named ? hexToRgb(named) : null;
+    }
+    return null;
+}
+
+function jsonCandidates(text) {
+    const candidates = [];
+    const fence = /```(?:json)?\s*\n?([\s\S]*?)```/gi;
+    let match;
+    while ((match = fence.exec(text)) !== null) {
+        candidates.push(match[1]);
+    }
+    candidates.push(text.trim());
+
+    const start = text.indexOf('[');
+    const end = text.lastIndexOf(']');
+    if (start !== -1 && end > start) {
+        candidates.push(text.slice(start, end + 1));
+    }
+    return candidates;
+}
+
+function parseJsonColors(text) {
+    for (const candidate of jsonCandidates(text)) {
+        let data;
+        try {
+            data = JSON.parse(candidate);
+        } catch (error) {
+            continue;
+        }
+
+        const list = Array.isArray(data) ? data : data && data.colors;
+        if (!Array.isArray(list)) continue;
+
+        const colors = list.map(colorFromValue).filter(Boolean);
+        if (colors.length > 0) {
+            return { strategy: 'json', colors };
+        }
+    }
+    return null;
+}
+
+// Hex codes and CSS rgb()/hsl() strings, kept in the order they appear
+function parseInlineColors(text) {
+    const found = [];
+
+    for (const match of text.matchAll(HEX_PATTERN)) {
+        found.push({ index: match.index, kind: 'hex', color: hexToRgb(match[1]) });
+    }
+    for (const match of text.matchAll(RGB_PATTERN)) {
+        found.push({
+            index: match.index,
+            kind: 'css-rgb',
+            color: {
+                r: parseRgbComponent(match[1]),
+                g: parseRgbComponent(match[2]),
+                b: parseRgbComponent(match[3])
+            }
+        });
+    }
+    for (const match of text.matchAll(HSL_PATTERN)) {
+        found.push({
+            index: match.index,
+            kind: 'css-hsl',
+            color: hslToRgb(parseFloat(match[1]) % 360, parseFloat(match[2]) / 100, parseFloat(match[3]) / 100)
+        });
+    }
+
+    if (found.length === 0) return null;
+
+    found.sort((a, b) => a.index - b.index);
+    const kinds = [...new Set(found.map(f => f.kind))];
+    return { strategy: kinds.join('+'), colors: found.map(f => f.color) };
+}
+
+function parseNamedColors(text) {
+    const colors = [];
+    for (const match of text.toLowerCase().matchAll(/[a-z]+/g)) {
+        const hex = NAMED_COLORS[match[0]];
+        if (hex) colors.push(hexToRgb(hex));
+    }
+    return colors.length > 0 ? { strategy: 'named', colors } : null;
+}
+
+// options: decoding and mapping (byte-mapping.js names, default UTF-8
+// bytes taken three at a time as RGB)
+function extractByteColors(input, options = {}) {
+    return textToColors(input, options).map(({ r, g, b }) => ({ r, g, b }));
+}
+
+const STRATEGIES = [parseJsonColors, parseInlineColors, parseNamedColors];
+
+// options are passed to extractByteColors() for the byte fallback.
+// The byte strategy is reported as bytes:<decoding>:<mapping>.
+function parseColors(text, options = {}) {
+    for (const strategy of STRATEGIES) {
+        const result = strategy(text);
+        if (result) return result;
+    }
+    const decoding = options.decoding || DEFAULT_DECODING;
+    const mapping = options.mapping || DEFAULT_MAPPING;
+    return {
+        strategy: `bytes:${decoding}:${mapping}`,
+        colors: extractByteColors(text, { ...options, decoding, mapping })
+    };
+}
+
+const CSV_LINE = /^\s*\d+\s*,\s*\d+\s*,\s*\d+\s*$/;
+
+// Read colors from any file the pipeline produces: a colors-*.csv, the
+// combined JSON from combine-data.js, or a raw model response. Returns
+// { format, strategy, colors }. options are passed to parseColors().
+function readColorFile(filePath, options = {}) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+
+    if (path.extname(filePath).toLowerCase() === '.csv' ||
+        (lines.length > 0 && lines.every(line => CSV_LINE.test(line)))) {
+        const colors = lines.map(line => {
+            const [r, g, b] = line.split(',').map(Number);
+            return { r: clampChannel(r), g: clampChannel(g), b: clampChannel(b) };
+        });
+        return { format: 'csv', strategy: 'csv', colors };
+    }
+
+    let data = null;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        // Not plain JSON, so treat it as a model response
+    }
+
+    if (data && !Array.isArray(data) && typeof data.rawText === 'string' && Array.isArray(data.colors)) {
+        return {
+            format: 'combined',
+            strategy: 'combined',
+            colors: data.colors.map(colorFromValue).filter(Boolean)
+        };
+    }
+
+    return { format: 'raw-response', ...parseColors(text, options) };
+}
+
+module.exports = {
+    NAMED_COLORS,
+    hexToRgb,
+    hslToRgb,
+    parseColors,
+    readColorFile,
+    parseJsonColors,
+    parseInlineColors,
+    parseNamedColors,
+    extractByteColors
+};
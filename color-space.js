@@ -0,0 +1,183 @@
+// Conversions between sRGB ({r, g, b} in 0-255) and the color spaces used
+// for interpolation and analysis: HSL, CIELAB (D65) and OKLab.
+
+function clampChannel(value) {
+    return Math.max(0, Math.min(255, Math.round(Number(value) || 0)));
+}
+
+// h in degrees, s and l in 0-1
+function rgbToHsl({ r, g, b }) {
+    r /= 255; g /= 255; b /= 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    const d = max - min;
+
+    if (d === 0) return { h: 0, s: 0, l };
+
+    const s = d / (1 - Math.abs(2 * l - 1));
+    let h;
+    if (max === r) h = ((g - b) / d) % 6;
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+
+    return { h: (h * 60 + 360) % 360, s, l };
+}
+
+function hslToRgb(h, s, l) {
+    const k = n => (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+    return {
+        r: clampChannel(f(0) * 255),
+        g: clampChannel(f(8) * 255),
+        b: clampChannel(f(4) * 255)
+    };
+}
+
+function srgbToLinear(channel) {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(value) {
+    const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+    return clampChannel(c * 255);
+}
+
+// D65 reference white
+const WHITE = { x: 0.95047, y: 1.0, z: 1.08883 };
+
+function rgbToLab({ r, g, b }) {
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+
+    const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / WHITE.x;
+    const y = (0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb) / WHITE.y;
+    const z = (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / WHITE.z;
+
+    const f = t => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+    const fx = f(x), fy = f(y), fz = f(z);
+
+    return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+function labToRgb({ L, a, b }) {
+    const fy = (L + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    const finv = t => t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27);
+
+    const x = finv(fx) * WHITE.x;
+    const y = finv(fy) * WHITE.y;
+    const z = finv(fz) * WHITE.z;
+
+    return {
+        r: linearToSrgb(3.2404542 * x - 1.5371385 * y - 0.4985314 * z),
+        g: linearToSrgb(-0.9692660 * x + 1.8760108 * y + 0.0415560 * z),
+        b: linearToSrgb(0.0556434 * x - 0.2040259 * y + 1.0572252 * z)
+    };
+}
+
+function rgbToOklab({ r, g, b }) {
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+    return {
+        L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    };
+}
+
+function oklabToRgb({ L, a, b }) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+    return {
+        r: linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+        g: linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+        b: linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+    };
+}
+
+// CIEDE2000 color difference between two Lab colors
+function deltaE2000(lab1, lab2) {
+    const rad = Math.PI / 180;
+    const { L: L1, a: a1, b: b1 } = lab1;
+    const { L: L2, a: a2, b: b2 } = lab2;
+
+    const C1 = Math.hypot(a1, b1);
+    const C2 = Math.hypot(a2, b2);
+    const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+    const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+
+    const a1p = a1 * (1 + G);
+    const a2p = a2 * (1 + G);
+    const C1p = Math.hypot(a1p, b1);
+    const C2p = Math.hypot(a2p, b2);
+    const hue = (b, a) => (a === 0 && b === 0) ? 0 : (Math.atan2(b, a) / rad + 360) % 360;
+    const h1p = hue(b1, a1p);
+    const h2p = hue(b2, a2p);
+
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp * rad / 2);
+
+    const Lbarp = (L1 + L2) / 2;
+    const Cbarp = (C1p + C2p) / 2;
+    let hbarp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+        if (Math.abs(h1p - h2p) <= 180) hbarp /= 2;
+        else hbarp = h1p + h2p < 360 ? (hbarp + 360) / 2 : (hbarp - 360) / 2;
+    }
+
+    const T = 1
+        - 0.17 * Math.cos((hbarp - 30) * rad)
+        + 0.24 * Math.cos(2 * hbarp * rad)
+        + 0.32 * Math.cos((3 * hbarp + 6) * rad)
+        - 0.20 * Math.cos((4 * hbarp - 63) * rad);
+    const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+    const Cbarp7 = Math.pow(Cbarp, 7);
+    const RC = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + Math.pow(25, 7)));
+    const SL = 1 + (0.015 * Math.pow(Lbarp - 50, 2)) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+    const SC = 1 + 0.045 * Cbarp;
+    const SH = 1 + 0.015 * Cbarp * T;
+    const RT = -Math.sin(2 * dTheta * rad) * RC;
+
+    return Math.sqrt(
+        Math.pow(dLp / SL, 2) +
+        Math.pow(dCp / SC, 2) +
+        Math.pow(dHp / SH, 2) +
+        RT * (dCp / SC) * (dHp / SH)
+    );
+}
+
+function rgbToHex({ r, g, b }) {
+    return '#' + [r, g, b].map(c => clampChannel(c).toString(16).padStart(2, '0')).join('');
+}
+
+module.exports = {
+    clampChannel,
+    rgbToHsl,
+    hslToRgb,
+    rgbToLab,
+    labToRgb,
+    rgbToOklab,
+    oklabToRgb,
+    deltaE2000,
+    rgbToHex
+};
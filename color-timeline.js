@@ -0,0 +1,125 @@
+const {
+    rgbToHsl,
+    hslToRgb,
+    rgbToLab,
+    labToRgb,
+    rgbToOklab,
+    oklabToRgb
+} = require('./color-space');
+
+// Easing curves, mapping 0-1 progress to 0-1 progress
+const EASINGS = {
+    linear: t => t,
+    'ease-in': t => t * t,
+    'ease-out': t => t * (2 - t),
+    'ease-in-out': t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+    smoothstep: t => t * t * (3 - 2 * t),
+    sine: t => (1 - Math.cos(Math.PI * t)) / 2,
+    // Hard cut at the end of each transition, like the original animation
+    step: t => t < 1 ? 0 : 1
+};
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+function lerpLab(from, to, t) {
+    return { L: lerp(from.L, to.L, t), a: lerp(from.a, to.a, t), b: lerp(from.b, to.b, t) };
+}
+
+const INTERPOLATIONS = {
+    rgb: (from, to, t) => ({
+        r: Math.round(lerp(from.r, to.r, t)),
+        g: Math.round(lerp(from.g, to.g, t)),
+        b: Math.round(lerp(from.b, to.b, t))
+    }),
+    // Hue takes the shorter way round the color wheel
+    hsl: (from, to, t) => {
+        const a = rgbToHsl(from);
+        const b = rgbToHsl(to);
+        let dh = b.h - a.h;
+        if (dh > 180) dh -= 360;
+        if (dh < -180) dh += 360;
+        // Greys have no hue, so borrow the other end's
+        const h = a.s === 0 ? b.h : b.s === 0 ? a.h : (a.h + dh * t + 360) % 360;
+        return hslToRgb(h, lerp(a.s, b.s, t), lerp(a.l, b.l, t));
+    },
+    lab: (from, to, t) => labToRgb(lerpLab(rgbToLab(from), rgbToLab(to), t)),
+    oklab: (from, to, t) => oklabToRgb(lerpLab(rgbToOklab(from), rgbToOklab(to), t))
+};
+
+function interpolateColor(from, to, t, mode = 'rgb') {
+    const interpolate = INTERPOLATIONS[mode];
+    if (!interpolate) {
+        throw new Error(`Unknown interpolation "${mode}" (expected ${Object.keys(INTERPOLATIONS).join(', ')})`);
+    }
+    return interpolate(from, to, t);
+}
+
+// Lay the colors out on a timeline measured in relative units: each color
+// is held for hold[i] units, then blends into the next over `transition`
+// units. With loop set the last color blends back into the first.
+function buildTimeline(colors, options = {}) {
+    const {
+        hold = 0,
+        transition = 1,
+        loop = false,
+        interpolation = 'rgb',
+        easing = 'linear'
+    } = options;
+
+    if (!colors || colors.length === 0) {
+        throw new Error("No color data found.");
+    }
+    if (!EASINGS[easing]) {
+        throw new Error(`Unknown easing "${easing}" (expected ${Object.keys(EASINGS).join(', ')})`);
+    }
+    if (!INTERPOLATIONS[interpolation]) {
+        throw new Error(`Unknown interpolation "${interpolation}" (expected ${Object.keys(INTERPOLATIONS).join(', ')})`);
+    }
+
+    const holdFor = i => Array.isArray(hold) ? (hold[i] ?? hold[hold.length - 1] ?? 0) : hold;
+    const segments = [];
+    let time = 0;
+
+    colors.forEach((color, i) => {
+        const next = i + 1 < colors.length ? colors[i + 1] : (loop ? colors[0] : null);
+
+        if (holdFor(i) > 0) {
+            segments.push({ start: time, end: time + holdFor(i), index: i, from: color, to: color });
+            time += holdFor(i);
+        }
+        if (next && transition > 0) {
+            segments.push({ start: time, end: time + transition, index: i, from: color, to: next });
+            time += transition;
+        }
+    });
+
+    // A single color with no hold still needs something to show
+    if (segments.length === 0) {
+        segments.push({ start: 0, end: 1, index: 0, from: colors[0], to: colors[0] });
+        time = 1;
+    }
+
+    return { segments, length: time, interpolation, easing: EASINGS[easing] };
+}
+
+// Color at `progress` (0-1) through the timeline
+function colorAt(timeline, progress) {
+    const time = Math.max(0, Math.min(1, progress)) * timeline.length;
+    const segment = timeline.segments.find(s => time < s.end) ||
+        timeline.segments[timeline.segments.length - 1];
+
+    if (segment.from === segment.to) return { ...segment.from };
+
+    const t = (time - segment.start) / (segment.end - segment.start);
+    return interpolateColor(segment.from, segment.to, timeline.easing(Math.min(1, t)), timeline.interpolation);
+}
+
+module.exports = {
+    EASINGS,
+    INTERPOLATIONS,
+    interpolateColor,
+    buildTimeline,
+    colorAt
+};
@@ -0,0 +1,38 @@
+// Browser entry for color-visualization.js. Load the scripts in this
+// order, then call ColorVisualization.mount(text) to draw a response into
+// the page:
+//
+//   <script src="byte-mapping.js"></script>
+//   <script src="color-visualization.js"></script>
+//   <script src="color-visualization-browser.js"></script>
+//   <script>ColorVisualization.mount(responseText);</script>
+
+(function (ColorVisualization) {
+    if (!ColorVisualization) {
+        throw new Error('Load color-visualization.js before color-visualization-browser.js');
+    }
+
+    // options: container (default document.body), canvas (reuse an existing
+    // canvas instead of appending one), width and height (default 800x400),
+    // decoding, bands and patterns (see stringToColors()) and
+    // patternWeighting.
+    // Returns the canvas and the decoded colors.
+    function mount(text, options = {}) {
+        const canvas = options.canvas || document.createElement('canvas');
+        canvas.width = options.width || ColorVisualization.DEFAULT_WIDTH;
+        canvas.height = options.height || ColorVisualization.DEFAULT_HEIGHT;
+        if (!options.canvas) {
+            (options.container || document.body).appendChild(canvas);
+        }
+
+        const colors = ColorVisualization.stringToColors(text, options);
+        ColorVisualization.drawVisualization(canvas.getContext('2d'), colors, {
+            width: canvas.width,
+            height: canvas.height,
+            patternWeighting: options.patternWeighting
+        });
+        return { canvas, colors };
+    }
+
+    ColorVisualization.mount = mount;
+}(self.ColorVisualization));
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const {
+    DEFAULT_WIDTH,
+    DEFAULT_HEIGHT,
+    drawVisualization,
+    visualizationStats
+} = require('./color-visualization');
+const { encodePng } = require('./png-encoder');
+
+// Node entry for color-visualization.js: renders into an in-memory RGB
+// raster, so writing PNGs needs no native canvas module, and builds the
+// HTML report around the image.
+
+// "rgb(1,2,3)", "rgba(1,2,3,0.5)" or "#rrggbb" -> [r, g, b, alpha]
+function parseFillStyle(style) {
+    const hex = /^#([0-9a-f]{6})$/i.exec(style);
+    if (hex) {
+        const value = parseInt(hex[1], 16);
+        return [value >> 16, (value >> 8) & 255, value & 255, 1];
+    }
+    const rgb = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i.exec(style);
+    if (rgb) {
+        return [Number(rgb[1]), Number(rgb[2]), Number(rgb[3]), rgb[4] === undefined ? 1 : Number(rgb[4])];
+    }
+    throw new Error(`Unsupported fillStyle: ${style}`);
+}
+
+// The part of the Canvas 2D API the visualization uses, drawing into an
+// RGB buffer. Rectangle edges snap to whole pixels (no antialiasing) and
+// cleared pixels are black.
+function createRasterContext(width, height) {
+    const pixels = Buffer.alloc(width * height * 3);
+    let fill = [0, 0, 0, 1];
+
+    function span(start, size, limit) {
+        const from = Math.max(0, Math.round(Math.min(start, start + size)));
+        const to = Math.min(limit, Math.round(Math.max(start, start + size)));
+        return [from, to];
+    }
+
+    return {
+        pixels,
+        width,
+        height,
+        get fillStyle() {
+            return `rgba(${fill.join(',')})`;
+        },
+        set fillStyle(style) {
+            fill = parseFillStyle(style);
+        },
+        fillRect(x, y, w, h) {
+            const [x0, x1] = span(x, w, width);
+            const [y0, y1] = span(y, h, height);
+            const [r, g, b, alpha] = fill;
+            for (let row = y0; row < y1; row++) {
+                for (let col = x0; col < x1; col++) {
+                    const offset = (row * width + col) * 3;
+                    pixels[offset] = Math.round(r * alpha + pixels[offset] * (1 - alpha));
+                    pixels[offset + 1] = Math.round(g * alpha + pixels[offset + 1] * (1 - alpha));
+                    pixels[offset + 2] = Math.round(b * alpha + pixels[offset + 2] * (1 - alpha));
+                }
+            }
+        },
+        clearRect(x, y, w, h) {
+            const [x0, x1] = span(x, w, width);
+            const [y0, y1] = span(y, h, height);
+            for (let row = y0; row < y1; row++) {
+                pixels.fill(0, (row * width + x0) * 3, (row * width + x1) * 3);
+            }
+        }
+    };
+}
+
+// options: width and height (default 800x400) and the other
+// drawVisualization() options. Returns raw RGB pixels.
+function renderPixels(colors, options = {}) {
+    const width = options.width || DEFAULT_WIDTH;
+    const height = options.height || DEFAULT_HEIGHT;
+    const ctx = createRasterContext(width, height);
+    drawVisualization(ctx, colors, { ...options, width, height });
+    return ctx.pixels;
+}
+
+function renderPng(colors, options = {}) {
+    const width = options.width || DEFAULT_WIDTH;
+    const height = options.height || DEFAULT_HEIGHT;
+    return encodePng(width, height, renderPixels(colors, { ...options, width, height }));
+}
+
+function escapeHtml(text) {
+    return text.replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]);
+}
+
+// Printable ASCII as a quoted string, anything else as hex
+function describeBytes(bytes) {
+    return bytes.every(byte => byte >= 0x20 && byte < 0x7f)
+        ? JSON.stringify(String.fromCharCode(...bytes))
+        : Buffer.from(bytes).toString('hex').replace(/(..)(?=.)/g, '$1 ');
+}
+
+// Self-contained page with the visualization inlined as a data URI, the
+// generation stats and the full raw response
+function renderHtmlReport({ png, colors, response, prompt, template, title = 'Color visualization' }) {
+    const stats = visualizationStats(colors);
+    const rows = [
+        ...(template ? [['Prompt template', `${template.name}@${template.version}`]] : []),
+        ...Object.entries((template && template.variables) || {}).map(([name, value]) => [`&nbsp;&nbsp;${name}`, value]),
+        ['Response length', response.length],
+        [`Bytes (${stats.decoding})`, stats.byteCount],
+        ['Repeated patterns', stats.patternCount],
+        ...colors.bands.map(band => [`Colors in ${band.mapping} band`, band.colors.length])
+    ].map(([label, value]) => `            <tr><th>${label}</th><td>${escapeHtml(String(value))}</td></tr>`).join('\n');
+    const topPatterns = [...colors.patterns]
+        .sort((a, b) => b.count - a.count || b.sequence.length - a.sequence.length)
+        .slice(0, 10)
+        .map(pattern => {
+            const text = escapeHtml(describeBytes(pattern.sequence));
+            return `            <tr><th><span class="swatch" style="background: ${pattern.color}"></span><code>${text}</code></th><td>${pattern.count}&times;</td></tr>`;
+        })
+        .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+            margin: 0 auto;
+            padding: 20px;
+            max-width: 1000px;
+            background: #f8fafc;
+            color: #1e293b;
+        }
+
+        img {
+            max-width: 100%;
+            border-radius: 8px;
+        }
+
+        th {
+            text-align: left;
+            padding-right: 2rem;
+            color: #475569;
+        }
+
+        .swatch {
+            display: inline-block;
+            width: 1em;
+            height: 1em;
+            margin-right: 0.5em;
+            vertical-align: middle;
+        }
+
+        pre {
+            white-space: pre-wrap;
+            word-break: break-all;
+            background: #ffffff;
+            padding: 1rem;
+            border-radius: 8px;
+            box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+        }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    <p>Bands from top: ${colors.bands.map(band => band.mapping).join(', ')}.</p>
+    <img src="data:image/png;base64,${png.toString('base64')}" alt="Banded color visualization">
+    <h2>Stats</h2>
+    <table>
+        <tbody>
+${rows}
+        </tbody>
+    </table>
+${topPatterns ? `    <h2>Most frequent patterns</h2>\n    <table>\n        <tbody>\n${topPatterns}\n        </tbody>\n    </table>\n` : ''}${prompt ? `    <h2>Prompt</h2>\n    <pre>${escapeHtml(prompt)}</pre>\n` : ''}    <h2>Raw response</h2>
+    <pre>${escapeHtml(response)}</pre>
+</body>
+</html>
+`;
+}
+
+function writeVisualization(colors, outputPath, options = {}) {
+    fs.writeFileSync(outputPath, renderPng(colors, options));
+    return outputPath;
+}
+
+module.exports = {
+    createRasterContext,
+    renderPixels,
+    renderPng,
+    renderHtmlReport,
+    writeVisualization
+};
@@ -0,0 +1,100 @@
+// Banded visualization of a model response. The text is decoded to bytes
+// and each band shows one byte-mapping.js mapping of them; the default
+// bands are RGB byte triplets, byte values as hues, raw bytes as grays and
+// repeated byte patterns.
+//
+// Runs unchanged in Node and the browser (load byte-mapping.js first).
+// Drawing only uses fillStyle, fillRect and clearRect, so any
+// Canvas-2D-compatible context works: a browser canvas, node-canvas, or
+// the pure-JS raster context in color-visualization-node.js.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./byte-mapping'));
+    } else {
+        root.ColorVisualization = factory(root.ByteMapping);
+    }
+}(typeof self !== 'undefined' ? self : this, function (ByteMapping) {
+    const DEFAULT_WIDTH = 800;
+    const DEFAULT_HEIGHT = 400;
+    const DEFAULT_BANDS = ['rgb', 'hue', 'grayscale', 'pattern'];
+
+    // Color generation functions.
+    // options: decoding (byte-mapping.js decoding, default utf8), bands
+    // (mapping names, top to bottom) and patterns (findPatterns() options)
+    function stringToColors(input, options = {}) {
+        const bytes = ByteMapping.decodeBytes(input, options.decoding);
+        // Shared by the pattern list and the pattern band
+        const foundPatterns = ByteMapping.findPatterns(bytes, options.patterns);
+
+        return {
+            decoding: options.decoding || ByteMapping.DEFAULT_DECODING,
+            byteCount: bytes.length,
+            patterns: foundPatterns.map(pattern => ({
+                ...pattern,
+                color: cssColor(ByteMapping.patternToColor(pattern.sequence))
+            })),
+            bands: (options.bands || DEFAULT_BANDS).map(mapping => ({
+                mapping,
+                colors: ByteMapping.mapBytes(bytes, mapping, { ...options, foundPatterns })
+            }))
+        };
+    }
+
+    function cssColor({ r, g, b }) {
+        return `rgb(${r},${g},${b})`;
+    }
+
+    // h, s and v in 0-1
+    function hsvToRgb(h, s, v) {
+        return cssColor(ByteMapping.hsvToColor(h, s, v));
+    }
+
+    // Draw the bands into ctx, filling width x height from the origin.
+    // options: width and height (default 800x400), patternWeighting
+    // ("uniform", the default, or "frequency" to size colors that carry a
+    // weight, such as pattern colors, by it)
+    function drawVisualization(ctx, colors, options = {}) {
+        const width = options.width || DEFAULT_WIDTH;
+        const height = options.height || DEFAULT_HEIGHT;
+        const bandHeight = height / colors.bands.length;
+        ctx.clearRect(0, 0, width, height);
+
+        colors.bands.forEach((band, row) => {
+            if (band.colors.length === 0) return;
+
+            const weights = band.colors.map(color =>
+                options.patternWeighting === 'frequency' && color.weight !== undefined ? color.weight : 1);
+            const unit = width / weights.reduce((a, b) => a + b, 0);
+            let x = 0;
+            band.colors.forEach((color, i) => {
+                ctx.fillStyle = cssColor(color);
+                ctx.fillRect(x, row * bandHeight, weights[i] * unit, bandHeight);
+                x += weights[i] * unit;
+            });
+        });
+    }
+
+    function visualizationStats(colors) {
+        const stats = {
+            decoding: colors.decoding,
+            byteCount: colors.byteCount,
+            patternCount: colors.patterns.length
+        };
+        for (const band of colors.bands) {
+            stats[`${band.mapping}Count`] = band.colors.length;
+        }
+        return stats;
+    }
+
+    return {
+        DEFAULT_WIDTH,
+        DEFAULT_HEIGHT,
+        DEFAULT_BANDS,
+        stringToColors,
+        hsvToRgb,
+        findPatterns: ByteMapping.findPatterns,
+        drawVisualization,
+        visualizationStats
+    };
+}));
@@ -1,44 +1,54 @@
 const fs = require('fs');
+const { startStep } = require('./provenance');
 
 function combineColorData(csvFilePath, rawTextFilePath, outputFilePath) {
-    try {
-        // Read the CSV file
-        const csvData = fs.readFileSync(csvFilePath, 'utf-8');
-        const colors = csvData.trim().split('\n').map(line => {
-            const [r, g, b] = line.split(',').map(Number);
-            return { r, g, b };
-        });
+    const step = startStep('combine');
 
-        // Read the raw text file
-        const rawText = fs.readFileSync(rawTextFilePath, 'utf-8');
+    // Read the CSV file
+    const csvData = fs.readFileSync(csvFilePath, 'utf-8');
+    const colors = csvData.trim().split('\n').map(line => {
+        const [r, g, b] = line.split(',').map(Number);
+        return { r, g, b };
+    });
 
-        // Create the combined data structure
-        const combinedData = {
-            rawText: rawText,
-            colors: colors
-        };
+    // Read the raw text file
+    const rawText = fs.readFileSync(rawTextFilePath, 'utf-8');
 
-        // Convert the combined data to JSON
-        const jsonData = JSON.stringify(combinedData, null, 2);
+    // Create the combined data structure
+    const combinedData = {
+        rawText: rawText,
+        colors: colors
+    };
 
-        // Write the JSON data to the output file
-        fs.writeFileSync(outputFilePath, jsonData);
+    // Convert the combined data to JSON
+    const jsonData = JSON.stringify(combinedData, null, 2);
 
-        console.log(`Successfully combined data and saved to ${outputFilePath}`);
+    // Write the JSON data to the output file
+    fs.writeFileSync(outputFilePath, jsonData);
+    step.finish({ inputs: [csvFilePath, rawTextFilePath], outputs: [outputFilePath] });
 
-    } catch (error) {
-        console.error("Error:", error);
-    }
+    console.log(`Successfully combined data and saved to ${outputFilePath}`);
+
+    return combinedData;
 }
 
-// Get the file names from the command line arguments
-const csvFile = process.argv[2];
-const rawTextFile = process.argv[3];
-const outputFile = process.argv[4] || 'combined-data.json'; // Default output file
+module.exports = { combineColorData };
 
-if (!csvFile || !rawTextFile) {
-    console.error("Usage: node combine-data.js <colors-csv-file> <raw-text-file> [output-file]");
-    process.exit(1);
-}
+if (require.main === module) {
+    // Get the file names from the command line arguments
+    const csvFile = process.argv[2];
+    const rawTextFile = process.argv[3];
+    const outputFile = process.argv[4] || 'combined-data.json'; // Default output file
 
-combineColorData(csvFile, rawTextFile, outputFile);
+    if (!csvFile || !rawTextFile) {
+        console.error("Usage: node combine-data.js <colors-csv-file> <raw-text-file> [output-file]");
+        process.exit(1);
+    }
+
+    try {
+        combineColorData(csvFile, rawTextFile, outputFile);
+    } catch (error) {
+        console.error("Error:", error);
+        process.exitCode = 1;
+    }
+}
@@ -1,16 +1,273 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { assertValid } = require('./json-schema');
+const { writeFileAtomic, tmpFileOwner, processRunning, withLock } = require('./atomic-file');
+
+const TABLE_SCHEMA = require('./schemas/db-table.schema.json');
+const FIELD_TYPES = TABLE_SCHEMA.definitions.fieldType.enum;
+
+// Tables are declared as JSON Schemas for their records (the subset in
+// schemas/db-table.schema.json). Fields with a "default" are filled in on
+// insert when missing; id and timestamp are assigned by the database.
+// "indexes" lists fields to keep in-memory indexes of for query().
+const DEFAULT_TABLES = {
+    scripts: {
+        description: 'Scripts written for the pipeline',
+        required: ['content', 'char_count'],
+        properties: {
+            content: { type: 'string' },
+            char_count: { type: 'integer', minimum: 0 },
+            run_count: { type: 'integer', minimum: 0, default: 0 },
+            manual_intervention: { type: 'boolean', default: false },
+            last_run_at: { type: ['string', 'null'], default: null },
+            last_duration_ms: { type: ['number', 'null'], minimum: 0, default: null },
+            last_exit_code: { type: ['integer', 'null'], default: null }
+        }
+    },
+    runs: {
+        description: 'Script executions recorded by recordScriptRun()',
+        required: ['script_id', 'duration_ms', 'exit_code'],
+        indexes: ['script_id', 'exit_code'],
+        properties: {
+            script_id: { type: 'integer' },
+            duration_ms: { type: 'number', minimum: 0 },
+            exit_code: { type: 'integer' }
+        }
+    },
+    errors: {
+        description: 'Errors raised by recorded scripts',
+        required: ['error_message'],
+        indexes: ['script_id', 'resolved'],
+        properties: {
+            script_id: { type: ['integer', 'null'], default: null },
+            error_message: { type: 'string' },
+            stack_trace: { type: ['string', 'null'], default: null },
+            resolved: { type: 'boolean', default: false },
+            resolved_at: { type: ['string', 'null'], default: null },
+            resolution: { type: ['string', 'null'], default: null }
+        }
+    },
+    metrics: {
+        description: 'Metrics snapshots written by updateMetrics()',
+        required: ['total_scripts', 'total_runs', 'total_errors'],
+        // No defaults: a snapshot taken before a figure was counted lacks it
+        properties: {
+            total_scripts: { type: 'integer', minimum: 0 },
+            total_runs: { type: 'integer', minimum: 0 },
+            total_errors: { type: 'integer', minimum: 0 },
+            avg_chars_per_script: { type: 'number', minimum: 0 },
+            errors_per_minute: { type: 'number', minimum: 0 },
+            total_manual_scripts: { type: 'integer', minimum: 0 },
+            failed_runs: { type: 'integer', minimum: 0 },
+            open_errors: { type: 'integer', minimum: 0 }
+        }
+    }
+};
+
+const RESERVED_FIELDS = ['id', 'timestamp'];
+
+function copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+const OPERATORS = {
+    $eq: (value, operand) => value === operand,
+    $ne: (value, operand) => value !== operand,
+    $gt: (value, operand) => comparable(value, operand) && value > operand,
+    $gte: (value, operand) => comparable(value, operand) && value >= operand,
+    $lt: (value, operand) => comparable(value, operand) && value < operand,
+    $lte: (value, operand) => comparable(value, operand) && value <= operand,
+    $in: (value, operand) => operand.includes(value),
+    $nin: (value, operand) => !operand.includes(value),
+    $exists: (value, operand) => (value !== undefined) === Boolean(operand)
+};
+
+function comparable(a, b) {
+    return (typeof a === 'number' && typeof b === 'number') || (typeof a === 'string' && typeof b === 'string');
+}
+
+// Timestamps are stored as ISO strings, so Dates are compared as those
+function normalize(operand) {
+    if (operand instanceof Date) return operand.toISOString();
+    if (Array.isArray(operand)) return operand.map(normalize);
+    return operand;
+}
+
+function isOperatorObject(condition) {
+    return condition !== null && typeof condition === 'object' && !(condition instanceof Date) &&
+        !Array.isArray(condition) && Object.keys(condition).some(key => key.startsWith('$'));
+}
+
+function matchesCondition(value, condition) {
+    if (typeof condition === 'function') return Boolean(condition(value));
+    if (!isOperatorObject(condition)) return value === normalize(condition);
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        if (!OPERATORS[operator]) {
+            throw new Error(`Unknown query operator ${operator} (expected ${Object.keys(OPERATORS).join(', ')})`);
+        }
+        if ((operator === '$in' || operator === '$nin') && !Array.isArray(operand)) {
+            throw new Error(`${operator} needs an array`);
+        }
+        return OPERATORS[operator](value, normalize(operand));
+    });
+}
+
+// "field", "-field", { field: 1 | -1 } or an array of those -> [{ field, direction }]
+function parseSort(sort) {
+    if (!sort) return [{ field: 'id', direction: 1 }];
+    return [].concat(sort).flatMap(entry => {
+        if (typeof entry === 'string') {
+            return entry.startsWith('-')
+                ? [{ field: entry.slice(1), direction: -1 }]
+                : [{ field: entry, direction: 1 }];
+        }
+        return Object.entries(entry).map(([field, direction]) => ({ field, direction: direction < 0 ? -1 : 1 }));
+    });
+}
+
+// Missing values sort last in either direction
+function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return 1;
+    if (b === undefined || b === null) return -1;
+    if (typeof a !== typeof b) return typeof a < typeof b ? -1 : 1;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function compareBy(sort, a, b) {
+    for (const { field, direction } of sort) {
+        const missingA = a[field] === undefined || a[field] === null;
+        const missingB = b[field] === undefined || b[field] === null;
+        const order = missingA || missingB ? compareValues(a[field], b[field]) : direction * compareValues(a[field], b[field]);
+        if (order !== 0) return order;
+    }
+    return 0;
+}
+
+function project(record, fields) {
+    const projected = {};
+    for (const field of fields) {
+        if (record[field] !== undefined) projected[field] = record[field];
+    }
+    return projected;
+}
+
+// Id allocation is serialized across processes by a lock file per table
+// (see atomic-file.js)
+const LOCK_FILE = '.lock';
+
+// Unreadable records are moved here (per table) by init()
+const QUARANTINE_DIR = '.quarantine';
 
+// Highest id handed out in a table, kept next to its records so the id of
+// a deleted record is never handed out again
+const LAST_ID_FILE = '.last-id';
+
+function idFromFileName(file) {
+    const id = parseInt(file.split('_')[0]);
+    return Number.isInteger(id) ? id : 0;
+}
+
+// Changes whenever a record file is rewritten (a rewrite is a rename of a
+// new file over it)
+function fileStamp(stat) {
+    return `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+}
+
+// One directory of JSON records per table under basePath, created by
+// init(). options.tables maps table names to definitions (default DEFAULT_TABLES);
+// defineTable() adds more before init().
 class FileDB {
-    constructor(basePath = 'ai_metrics_db') {
+    constructor(basePath = 'ai_metrics_db', options = {}) {
         this.basePath = basePath;
-        this.tables = {
-            scripts: path.join(basePath, 'scripts'),
-            errors: path.join(basePath, 'errors'),
-            metrics: path.join(basePath, 'metrics')
-        };
+        this.tables = {};
+        this.schemas = {};
         this.indexes = {};
+        this.indexed = {};
         this.counters = {};
+        this.initialized = false;
+
+        for (const [name, definition] of Object.entries(options.tables || DEFAULT_TABLES)) {
+            this.defineTable(name, definition);
+        }
+    }
+
+    defineTable(name, definition) {
+        if (this.initialized) {
+            throw new Error(`Table ${name} must be defined before init()`);
+        }
+        if (!/^[a-z][a-z0-9_]*$/.test(name)) {
+            throw new Error(`Invalid table name "${name}" (lowercase letters, digits and _)`);
+        }
+        if (this.tables[name]) {
+            throw new Error(`Table ${name} is already defined`);
+        }
+        assertValid(TABLE_SCHEMA, definition, `definition of table ${name}`);
+
+        const schema = { type: 'object', ...copy(definition) };
+        for (const [field, spec] of Object.entries(schema.properties)) {
+            const unknown = [].concat(spec.type).filter(type => !FIELD_TYPES.includes(type));
+            if (unknown.length > 0) {
+                throw new Error(`Table ${name}: field ${field} has unknown type ${unknown.join(', ')} (expected ${FIELD_TYPES.join(', ')})`);
+            }
+            if (spec.default !== undefined) {
+                assertValid(spec, spec.default, `default of ${name}.${field}`);
+            }
+        }
+        for (const field of RESERVED_FIELDS.filter(field => schema.properties[field])) {
+            throw new Error(`Table ${name}: ${field} is assigned by the database and cannot be declared`);
+        }
+        for (const field of (schema.required || []).filter(field => !schema.properties[field])) {
+            throw new Error(`Table ${name}: required field ${field} is not declared in properties`);
+        }
+        for (const field of schema.indexes || []) {
+            const spec = schema.properties[field];
+            if (!spec) {
+                throw new Error(`Table ${name}: indexed field ${field} is not declared in properties`);
+            }
+            if ([].concat(spec.type).some(type => type === 'object' || type === 'array')) {
+                throw new Error(`Table ${name}: indexed field ${field} must hold strings, numbers, booleans or null`);
+            }
+        }
+
+        this.schemas[name] = schema;
+        this.tables[name] = path.join(this.basePath, name);
+    }
+
+    // Defaults filled in and undefined values dropped, as they would be by
+    // JSON; throws listing every problem when the result breaks the schema
+    validateRecord(table, data) {
+        const schema = this.schemas[table];
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error(`Invalid ${table} record: expected an object`);
+        }
+        for (const field of RESERVED_FIELDS.filter(field => field in data)) {
+            throw new Error(`Invalid ${table} record: ${field} is assigned by the database`);
+        }
+
+        // Declared fields first, in declaration order
+        const record = {};
+        for (const [field, spec] of Object.entries(schema.properties)) {
+            const value = data[field] !== undefined ? data[field] : copy(spec.default);
+            if (value !== undefined) record[field] = value;
+        }
+        for (const [field, value] of Object.entries(data)) {
+            if (value !== undefined && !(field in record)) record[field] = value;
+        }
+        return assertValid(schema, record, `${table} record`);
+    }
+
+    // A record read from disk with the defaults of fields it lacks, so
+    // records written before a field was declared index, query and read
+    // like new ones
+    _withDefaults(table, record) {
+        for (const [field, spec] of Object.entries(this.schemas[table].properties)) {
+            if (record[field] === undefined && spec.default !== undefined) {
+                record[field] = copy(spec.default);
+            }
+        }
+        return record;
     }
 
     async init() {
@@ -22,127 +279,417 @@ class FileDB {
             )
         );
 
+        // Load indexes, quarantining records a crash left unreadable
+        await this.loadIndexes();
+
         // Initialize counters
         await Promise.all(
             Object.keys(this.tables).map(async table => {
                 this.counters[table] = await this.getHighestId(table);
             })
         );
-
-        // Load indexes
-        await this.loadIndexes();
+        this.initialized = true;
     }
 
+    // Every table has an id index (id -> file name) and a timestamp index;
+    // fields listed in a definition's "indexes" get one too. Value indexes
+    // map each value (undefined for records without the field) to the set
+    // of ids holding it. indexed[table] maps each id to what it was indexed
+    // with: the fileStamp() of its file, so _refreshIndexes() re-reads only
+    // changed files, and its indexed values, to unindex it without a scan.
     async loadIndexes() {
         for (const [table, dir] of Object.entries(this.tables)) {
-            this.indexes[table] = {
-                timestamp: new Map(),
-                id: new Map()
-            };
+            this.indexes[table] = { id: new Map() };
+            this.indexed[table] = new Map();
+            for (const field of this._indexedFields(table)) {
+                this.indexes[table][field] = new Map();
+            }
 
-            try {
-                const files = await fs.readdir(dir);
-                for (const file of files) {
-                    if (file.endsWith('.json')) {
-                        const data = JSON.parse(
-                            await fs.readFile(path.join(dir, file), 'utf8')
-                        );
-                        this.indexes[table].id.set(data.id, file);
-                        this.indexes[table].timestamp.set(data.timestamp, data.id);
+            for (const file of await fs.readdir(dir)) {
+                if (file.startsWith('.') && file.endsWith('.tmp')) {
+                    await this._removeAbandonedTmp(dir, file);
+                    continue;
+                }
+                if (!file.endsWith('.json')) continue;
+
+                let data, stamp;
+                try {
+                    stamp = fileStamp(await fs.stat(path.join(dir, file)));
+                    data = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+                    if (data === null || typeof data !== 'object' || !Number.isInteger(data.id)) {
+                        throw new Error('not a record with an integer id');
                     }
+                    if (this.indexes[table].id.has(data.id)) {
+                        throw new Error(`duplicate id ${data.id} (also in ${this.indexes[table].id.get(data.id)})`);
+                    }
+                } catch (error) {
+                    await this._quarantine(table, file, error);
+                    continue;
                 }
-            } catch (error) {
-                console.error(`Error loading index for ${table}:`, error);
+                this._indexRecord(table, this._withDefaults(table, data), file, stamp);
             }
         }
     }
 
+    // Move an unreadable record out of the table so the rest stays usable
+    async _quarantine(table, file, error) {
+        const quarantineDir = path.join(this.basePath, QUARANTINE_DIR, table);
+        await fs.mkdir(quarantineDir, { recursive: true });
+        let target = path.join(quarantineDir, file);
+        for (let n = 1; await fs.access(target).then(() => true, () => false); n++) {
+            target = path.join(quarantineDir, `${file}.${n}`);
+        }
+        await fs.rename(path.join(this.tables[table], file), target);
+        console.warn(`Quarantined ${table}/${file} (${error.message}) to ${target}`);
+    }
+
+    // Temporary files of writers that died before renaming them; those of
+    // running processes are left alone
+    async _removeAbandonedTmp(dir, file) {
+        const pid = tmpFileOwner(file);
+        if (pid !== null && pid !== process.pid && processRunning(pid)) return;
+        await fs.unlink(path.join(dir, file)).catch(() => {});
+    }
+
+    _lockPath(table) {
+        return path.join(this.tables[table], LOCK_FILE);
+    }
+
+    _indexedFields(table) {
+        return ['timestamp', ...(this.schemas[table].indexes || [])];
+    }
+
+    _indexRecord(table, record, fileName, stamp) {
+        const indexes = this.indexes[table];
+        const values = {};
+        indexes.id.set(record.id, fileName);
+        for (const field of this._indexedFields(table)) {
+            const ids = indexes[field].get(record[field]) || new Set();
+            ids.add(record.id);
+            indexes[field].set(record[field], ids);
+            values[field] = record[field];
+        }
+        this.indexed[table].set(record.id, { stamp, values });
+    }
+
+    _unindexRecord(table, id) {
+        const indexes = this.indexes[table];
+        const entry = this.indexed[table].get(id);
+        indexes.id.delete(id);
+        this.indexed[table].delete(id);
+        if (!entry) return;
+        for (const [field, value] of Object.entries(entry.values)) {
+            const ids = indexes[field].get(value);
+            if (ids && ids.delete(id) && ids.size === 0) indexes[field].delete(value);
+        }
+    }
+
+    // Highest id handed out: the recorded one, or for tables written
+    // before it was recorded, the highest in use, counting quarantined
+    // records so their ids are not handed out again
     async getHighestId(table) {
+        let maxId = 0;
         try {
-            const files = await fs.readdir(this.tables[table]);
-            let maxId = 0;
-            
+            maxId = parseInt(await fs.readFile(path.join(this.tables[table], LAST_ID_FILE), 'utf8')) || 0;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        for (const dir of [this.tables[table], path.join(this.basePath, QUARANTINE_DIR, table)]) {
+            let files = [];
+            try {
+                files = await fs.readdir(dir);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
             for (const file of files) {
-                if (file.endsWith('.json')) {
-                    const id = parseInt(file.split('_')[0]);
-                    maxId = Math.max(maxId, id);
-                }
+                if (!file.startsWith('.')) maxId = Math.max(maxId, idFromFileName(file));
             }
-            
-            return maxId;
-        } catch (error) {
-            return 0;
         }
+        return maxId;
     }
 
-    async insert(table, data) {
+    _assertTable(table) {
         if (!this.tables[table]) {
             throw new Error(`Table ${table} does not exist`);
         }
+    }
 
-        const id = ++this.counters[table];
-        const timestamp = new Date().toISOString();
-        const record = { id, timestamp, ...data };
-        const fileName = `${id}_${timestamp.replace(/[:.]/g, '-')}.json`;
-        const filePath = path.join(this.tables[table], fileName);
+    async insert(table, data) {
+        this._assertTable(table);
+        const fields = this.validateRecord(table, data);
 
-        await fs.writeFile(filePath, JSON.stringify(record, null, 2));
+        // Allocate the id and write the record under the table lock, so
+        // the next id follows the ids other processes handed out too
+        const record = await withLock(this._lockPath(table), () => this._insertLocked(table, fields));
+        return record.id;
+    }
 
-        // Update indexes
-        this.indexes[table].id.set(id, fileName);
-        this.indexes[table].timestamp.set(timestamp, id);
+    async _insertLocked(table, fields) {
+        const id = Math.max(this.counters[table], await this.getHighestId(table)) + 1;
+        const timestamp = new Date().toISOString();
+        const fileName = `${id}_${timestamp.replace(/[:.]/g, '-')}.json`;
+        const record = { id, timestamp, ...fields };
 
-        return id;
+        const filePath = path.join(this.tables[table], fileName);
+        await writeFileAtomic(path.join(this.tables[table], LAST_ID_FILE), String(id));
+        await writeFileAtomic(filePath, JSON.stringify(record, null, 2));
+        this.counters[table] = id;
+        this._indexRecord(table, record, fileName, fileStamp(await fs.stat(filePath)));
+        return record;
     }
 
+    // Read from disk, so it sees other processes' writes
     async get(table, id) {
-        const fileName = this.indexes[table].id.get(id);
+        const fileName = await this._fileFor(table, id);
         if (!fileName) return null;
 
         const filePath = path.join(this.tables[table], fileName);
         try {
-            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+            return this._withDefaults(table, JSON.parse(await fs.readFile(filePath, 'utf8')));
         } catch (error) {
             return null;
         }
     }
 
-    async query(table, conditions = {}, limit = null) {
-        const results = [];
+    // File of a record, looked up on disk when another process wrote it
+    // after this one loaded its indexes
+    async _fileFor(table, id) {
+        const known = this.indexes[table].id.get(id);
+        if (known) return known;
         const files = await fs.readdir(this.tables[table]);
+        return files.find(file => file.endsWith('.json') && file.startsWith(`${id}_`)) || null;
+    }
+
+    // Read, change and rewrite a record under the table lock, so changes
+    // from several processes are applied one after another. change(fields)
+    // gets the current fields (without id and timestamp) and returns the
+    // new ones. Returns the updated record, or null when there is none.
+    async _modify(table, id, change) {
+        this._assertTable(table);
+        return withLock(this._lockPath(table), async () => {
+            const fileName = await this._fileFor(table, id);
+            if (!fileName) return null;
+
+            const filePath = path.join(this.tables[table], fileName);
+            let current;
+            try {
+                current = this._withDefaults(table, JSON.parse(await fs.readFile(filePath, 'utf8')));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null; // deleted meanwhile
+                throw error;
+            }
+            const fields = { ...current };
+            delete fields.id;
+            delete fields.timestamp;
+            const record = { id: current.id, timestamp: current.timestamp, ...this.validateRecord(table, change(fields)) };
+
+            await writeFileAtomic(filePath, JSON.stringify(record, null, 2));
+            this._unindexRecord(table, record.id);
+            this._indexRecord(table, record, fileName, fileStamp(await fs.stat(filePath)));
+            return record;
+        });
+    }
+
+    // Replace every field of a record; defaults apply as on insert
+    async update(table, id, data) {
+        return this._modify(table, id, () => data);
+    }
+
+    // Change some fields of a record. changes is an object merged into the
+    // record, or a function from the current fields to that object, which
+    // runs under the lock (for increments and other read-modify-writes).
+    // A field set to undefined is removed (or reset to its default).
+    async patch(table, id, changes) {
+        return this._modify(table, id, fields => ({
+            ...fields,
+            ...(typeof changes === 'function' ? changes(fields) : changes)
+        }));
+    }
+
+    // Returns whether there was a record to delete
+    async delete(table, id) {
+        this._assertTable(table);
+        return withLock(this._lockPath(table), async () => {
+            const fileName = await this._fileFor(table, id);
+            if (!fileName) return false;
+            try {
+                await fs.unlink(path.join(this.tables[table], fileName));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            this._unindexRecord(table, id);
+            return true;
+        });
+    }
 
-        for (const file of files) {
+    // Patch the first record matching conditions (in id order), or insert
+    // data plus the plain values of conditions when none matches. Returns
+    // { id, inserted }.
+    async upsert(table, conditions, data) {
+        this._assertTable(table);
+        for (;;) {
+            const [existing] = await this.query(table, conditions, { limit: 1, fields: ['id'] });
+            if (existing) {
+                const record = await this.patch(table, existing.id, data);
+                if (record) return { id: record.id, inserted: false };
+                continue; // deleted before we got the lock
+            }
+
+            const plain = Object.fromEntries(Object.entries(conditions).filter(([, condition]) =>
+                typeof condition !== 'function' && !isOperatorObject(condition)));
+            const fields = this.validateRecord(table, { ...plain, ...data });
+            const record = await withLock(this._lockPath(table), async () => {
+                // Another process may have inserted a match meanwhile
+                const [match] = await this.query(table, conditions, { limit: 1, fields: ['id'] });
+                return match ? null : this._insertLocked(table, fields);
+            });
+            if (record) return { id: record.id, inserted: true };
+        }
+    }
+
+    // Bring the indexes up to date with the records other processes
+    // inserted, changed or deleted since init(). Only files whose stamp
+    // changed are read again.
+    async _refreshIndexes(table) {
+        const dir = this.tables[table];
+        const known = this.indexes[table].id;
+        const seen = new Set();
+        for (const file of await fs.readdir(dir)) {
             if (!file.endsWith('.json')) continue;
+            const filePath = path.join(dir, file);
+            const id = idFromFileName(file);
+            let stamp, record;
+            try {
+                stamp = fileStamp(await fs.stat(filePath));
+                seen.add(file);
+                if (known.get(id) === file && this.indexed[table].get(id).stamp === stamp) continue;
+                record = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            } catch (error) {
+                continue; // deleted meanwhile, or left for the next init() to quarantine
+            }
+            if (record === null || typeof record !== 'object' || !Number.isInteger(record.id)) continue;
+            if (known.has(record.id)) this._unindexRecord(table, record.id);
+            this._indexRecord(table, this._withDefaults(table, record), file, stamp);
+        }
 
-            const data = JSON.parse(
-                await fs.readFile(path.join(this.tables[table], file), 'utf8')
-            );
+        // Records deleted elsewhere; a file this process wrote after the
+        // listing is still there
+        for (const [id, file] of [...known]) {
+            if (seen.has(file)) continue;
+            const exists = await fs.access(path.join(dir, file)).then(() => true, () => false);
+            if (!exists) this._unindexRecord(table, id);
+        }
+    }
 
-            if (this._matchesConditions(data, conditions)) {
-                results.push(data);
+    // conditions map fields to a value (equality), a predicate function or
+    // operators: $eq, $ne, $gt, $gte, $lt, $lte (combine two for a range),
+    // $in and $nin (arrays) and $exists. Dates compare as ISO timestamps.
+    // options (a number is taken as the limit):
+    //   sort    "field", "-field" (descending), { field: 1 | -1, ... } or an
+    //           array of those; default id ascending
+    //   offset  matching records to skip
+    //   limit   maximum records returned
+    //   fields  projection, an array of field names to keep
+    // The indexes are first brought up to date with other processes' writes.
+    // Conditions on id, timestamp and indexed fields narrow the candidates
+    // through them, and a sort on those fields reads only the records that
+    // end up on the requested page.
+    async query(table, conditions = {}, options = {}) {
+        this._assertTable(table);
+        if (typeof options === 'number' || options === null) {
+            options = { limit: options };
+        }
+        const offset = options.offset || 0;
+        const limit = options.limit || Infinity;
+        const sort = parseSort(options.sort);
+        await this._refreshIndexes(table);
+
+        // Narrow the candidates with the indexes; every condition is still
+        // checked against the record read, which may be newer than them
+        let candidates = [...this.indexes[table].id.keys()];
+        for (const [field, condition] of Object.entries(conditions)) {
+            if (this.indexes[table][field]) {
+                const matching = this._lookup(table, field, condition);
+                candidates = candidates.filter(id => matching.has(id));
             }
+        }
 
-            if (limit && results.length >= limit) break;
+        let results = [];
+        if (sort.every(({ field }) => this.indexes[table][field])) {
+            // Order by the index keys and stop reading once the page is full
+            const values = this._indexedValues(table);
+            candidates.sort((a, b) => compareBy(sort, values.get(a), values.get(b)) || a - b);
+            let skipped = 0;
+            for (const id of candidates) {
+                if (results.length >= limit) break;
+                const record = await this._read(table, id);
+                if (!record || !this._matchesConditions(record, conditions)) continue;
+                if (skipped++ < offset) continue;
+                results.push(record);
+            }
+        } else {
+            for (const id of candidates) {
+                const record = await this._read(table, id);
+                if (record && this._matchesConditions(record, conditions)) results.push(record);
+            }
+            results.sort((a, b) => compareBy(sort, a, b) || a.id - b.id);
+            results = results.slice(offset, offset + limit);
         }
 
-        return results;
+        return options.fields ? results.map(record => project(record, options.fields)) : results;
+    }
+
+    // Ids whose indexed value satisfies the condition
+    _lookup(table, field, condition) {
+        const ids = new Set();
+        if (field === 'id') {
+            for (const id of this.indexes[table].id.keys()) {
+                if (matchesCondition(id, condition)) ids.add(id);
+            }
+            return ids;
+        }
+        const index = this.indexes[table][field];
+        if (!isOperatorObject(condition) && typeof condition !== 'function') {
+            return index.get(normalize(condition)) || ids;
+        }
+        for (const [value, valueIds] of index) {
+            if (matchesCondition(value, condition)) valueIds.forEach(id => ids.add(id));
+        }
+        return ids;
+    }
+
+    // id -> { id, field: value } for the indexed fields
+    _indexedValues(table) {
+        const values = new Map();
+        for (const [id, entry] of this.indexed[table]) values.set(id, { id, ...entry.values });
+        return values;
+    }
+
+    // null when another process deleted the record
+    async _read(table, id) {
+        const fileName = this.indexes[table].id.get(id);
+        try {
+            return this._withDefaults(table, JSON.parse(await fs.readFile(path.join(this.tables[table], fileName), 'utf8')));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this._unindexRecord(table, id);
+            return null;
+        }
     }
 
     _matchesConditions(data, conditions) {
         for (const [key, value] of Object.entries(conditions)) {
-            if (typeof value === 'function') {
-                if (!value(data[key])) return false;
-            } else if (data[key] !== value) {
-                return false;
-            }
+            if (!matchesCondition(data[key], value)) return false;
         }
         return true;
     }
 }
 
+// options.tables adds tables (generation runs, prompts, palettes, ...)
+// next to the default ones
 class AIMetricsSystem {
-    constructor(basePath = 'ai_metrics_db') {
-        this.db = new FileDB(basePath);
+    constructor(basePath = 'ai_metrics_db', options = {}) {
+        this.db = new FileDB(basePath, { tables: { ...DEFAULT_TABLES, ...options.tables } });
     }
 
     async init() {
@@ -166,16 +713,52 @@ class AIMetricsSystem {
         });
     }
 
+    // One execution of a recorded script: stored in the runs table and
+    // counted on the script (run_count and the last run's duration and
+    // exit code). Returns the run id.
+    async recordScriptRun(scriptId, durationMs, exitCode = 0) {
+        const script = await this.db.patch('scripts', scriptId, current => ({
+            run_count: current.run_count + 1,
+            last_run_at: new Date().toISOString(),
+            last_duration_ms: durationMs,
+            last_exit_code: exitCode
+        }));
+        if (!script) {
+            throw new Error(`Script ${scriptId} does not exist`);
+        }
+        return await this.db.insert('runs', {
+            script_id: scriptId,
+            duration_ms: durationMs,
+            exit_code: exitCode
+        });
+    }
+
+    // Returns the updated error record
+    async resolveError(errorId, resolution = null) {
+        const error = await this.db.patch('errors', errorId, {
+            resolved: true,
+            resolved_at: new Date().toISOString(),
+            resolution
+        });
+        if (!error) {
+            throw new Error(`Error ${errorId} does not exist`);
+        }
+        return error;
+    }
+
     async updateMetrics() {
-        const [scripts, errors] = await Promise.all([
+        const [scripts, errors, failedRuns] = await Promise.all([
             this.db.query('scripts'),
-            this.db.query('errors')
+            this.db.query('errors'),
+            this.db.query('runs', { exit_code: { $ne: 0 } }, { fields: ['id'] })
         ]);
 
         const totalScripts = scripts.length;
         const totalRuns = scripts.reduce((sum, s) => sum + (s.run_count || 0), 0);
         const totalErrors = errors.length;
-        const avgChars = scripts.reduce((sum, s) => sum + s.char_count, 0) / totalScripts;
+        const avgChars = totalScripts > 0
+            ? scripts.reduce((sum, s) => sum + s.char_count, 0) / totalScripts
+            : 0;
         const totalManualScripts = scripts.filter(s => s.manual_intervention).length;
 
         // Calculate errors per minute
@@ -191,7 +774,9 @@ class AIMetricsSystem {
             total_errors: totalErrors,
             avg_chars_per_script: avgChars,
             errors_per_minute: recentErrors,
-            total_manual_scripts: totalManualScripts
+            total_manual_scripts: totalManualScripts,
+            failed_runs: failedRuns.length,
+            open_errors: errors.filter(e => !e.resolved).length
         });
     }
 
@@ -209,7 +794,7 @@ class AIMetricsSystem {
     }
 
     async getErrorGenerationRate() {
-        const errors = await this.db.query('errors');
+        const errors = await this.db.query('errors', {}, { sort: 'timestamp', fields: ['timestamp'] });
         if (errors.length === 0) {
             return {
                 errorsPerMinute: 0,
@@ -235,7 +820,7 @@ class AIMetricsSystem {
             this.getErrorGenerationRate()
         ]);
 
-        const metrics = await this.db.query('metrics', {}, 1);
+        const metrics = await this.db.query('metrics', {}, { sort: ['-timestamp', '-id'], limit: 1 });
 
         return {
             progress,
@@ -250,6 +835,8 @@ class AIMetricsSystem {
 }
 
 module.exports = AIMetricsSystem;
+module.exports.FileDB = FileDB;
+module.exports.DEFAULT_TABLES = DEFAULT_TABLES;
 
 // Example usage:
 async function main() {
@@ -261,12 +848,15 @@ async function main() {
     // Record a test script
     const scriptId = await metrics.recordScript(scriptContent);
     
-    // Record a test error
-    await metrics.recordError(
+    // Record a failed run and its error, then a successful run after the fix
+    await metrics.recordScriptRun(scriptId, 120, 1);
+    const errorId = await metrics.recordError(
         scriptId,
         'ReferenceError: x is not defined',
         'at Object.<anonymous> (/test.js:1:1)'
     );
+    await metrics.resolveError(errorId, 'Declared x');
+    await metrics.recordScriptRun(scriptId, 95, 0);
     
     // Update metrics
     await metrics.updateMetrics();
@@ -0,0 +1,142 @@
+const { colorAt } = require('./color-timeline');
+
+// Frame layouts. Each one fills `pixels` (a width * height * 3 RGB buffer)
+// for a point `progress` (0-1) through the animation. `frame` carries the
+// raw colors, the interpolated timeline and the layout options.
+
+function setPixel(pixels, offset, color) {
+    pixels[offset] = color.r;
+    pixels[offset + 1] = color.g;
+    pixels[offset + 2] = color.b;
+}
+
+function fillColumn(pixels, width, height, x, color) {
+    for (let y = 0; y < height; y++) {
+        setPixel(pixels, (y * width + x) * 3, color);
+    }
+}
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+function scale(color, factor) {
+    return {
+        r: Math.round(color.r * factor),
+        g: Math.round(color.g * factor),
+        b: Math.round(color.b * factor)
+    };
+}
+
+// The whole frame in the current color
+function solid(pixels, width, height, progress, frame) {
+    const color = colorAt(frame.timeline, progress);
+    for (let i = 0; i < width * height; i++) {
+        setPixel(pixels, i * 3, color);
+    }
+}
+
+// The raw sequence as vertical stripes scrolling right to left
+function stripes(pixels, width, height, progress, frame) {
+    const { colors } = frame;
+    const visible = frame.stripes || Math.min(colors.length, 8);
+    const offset = progress * colors.length;
+
+    for (let x = 0; x < width; x++) {
+        const index = Math.floor(offset + (x / width) * visible) % colors.length;
+        fillColumn(pixels, width, height, x, colors[index]);
+    }
+}
+
+// A horizontal gradient over a window of the timeline around the current point
+function gradient(pixels, width, height, progress, frame) {
+    const span = frame.span ?? 0.25;
+    for (let x = 0; x < width; x++) {
+        const color = colorAt(frame.timeline, clamp01(progress + (x / width - 0.5) * span));
+        fillColumn(pixels, width, height, x, color);
+    }
+}
+
+// Rings spreading out from the center: the center shows the current
+// color and older colors move outward
+function radial(pixels, width, height, progress, frame) {
+    const span = frame.span ?? 0.25;
+    const cx = width / 2;
+    const cy = height / 2;
+    const maxDistance = Math.ceil(Math.hypot(cx, cy));
+
+    const rings = [];
+    for (let d = 0; d <= maxDistance; d++) {
+        rings.push(colorAt(frame.timeline, clamp01(progress - (d / maxDistance) * span)));
+    }
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const d = Math.round(Math.hypot(x + 0.5 - cx, y + 0.5 - cy));
+            setPixel(pixels, (y * width + x) * 3, rings[Math.min(d, maxDistance)]);
+        }
+    }
+}
+
+// One cell per color, filling in left to right, top to bottom; the cell
+// being filled fades in from black
+function grid(pixels, width, height, progress, frame) {
+    const { colors } = frame;
+    const columns = Math.ceil(Math.sqrt(colors.length * width / height));
+    const rows = Math.ceil(colors.length / columns);
+    const filled = progress * colors.length;
+
+    for (let y = 0; y < height; y++) {
+        const row = Math.min(rows - 1, Math.floor(y * rows / height));
+        for (let x = 0; x < width; x++) {
+            const column = Math.min(columns - 1, Math.floor(x * columns / width));
+            const index = row * columns + column;
+            const reveal = index < colors.length ? clamp01(filled - index) : 0;
+            const color = reveal > 0 ? scale(colors[index], reveal) : { r: 0, g: 0, b: 0 };
+            setPixel(pixels, (y * width + x) * 3, color);
+        }
+    }
+}
+
+// A band whose thickness follows brightness, scrolling in from the right
+// edge over a dimmed background of the same color
+function waveform(pixels, width, height, progress, frame) {
+    const span = frame.span ?? 0.25;
+    const center = height / 2;
+
+    for (let x = 0; x < width; x++) {
+        const color = colorAt(frame.timeline, clamp01(progress - (1 - x / width) * span));
+        const amplitude = (color.r + color.g + color.b) / (3 * 255);
+        const halfHeight = Math.max(1, amplitude * center);
+        const background = scale(color, 0.15);
+
+        for (let y = 0; y < height; y++) {
+            const inBand = Math.abs(y + 0.5 - center) <= halfHeight;
+            setPixel(pixels, (y * width + x) * 3, inBand ? color : background);
+        }
+    }
+}
+
+const LAYOUTS = {
+    solid,
+    stripes,
+    gradient,
+    radial,
+    grid,
+    waveform
+};
+
+function renderFrame(width, height, progress, frame) {
+    const layout = LAYOUTS[frame.layout || 'solid'];
+    if (!layout) {
+        throw new Error(`Unknown layout "${frame.layout}" (expected ${Object.keys(LAYOUTS).join(', ')})`);
+    }
+    const pixels = Buffer.alloc(width * height * 3);
+    layout(pixels, width, height, progress, frame);
+    return pixels;
+}
+
+module.exports = {
+    LAYOUTS,
+    renderFrame
+};
@@ -1,75 +1,155 @@
+const fs = require("fs");
+const path = require("path");
 const {
-  GoogleGenerativeAI,
-  HarmCategory,
-  HarmBlockThreshold,
-} = require("@google/generative-ai");
-
-const apiKey = process.env.GEMINI_API_KEY;
-const genAI = new GoogleGenerativeAI(apiKey);
-
-const model = genAI.getGenerativeModel({
-  model: "gemini-2.0-flash-exp",
-  systemInstruction: "You only respond in base64.", // Improved system instruction
-});
-
-const generationConfig = {
-  temperature: 1,
-  topP: 0.95,
-  topK: 40,
-  maxOutputTokens: 8192,
-  responseMimeType: "text/plain",
+  DEFAULT_MODEL,
+  DEFAULT_GENERATION_CONFIG,
+  createModelProvider,
+} = require("./model-provider");
+const { renderDefaultTemplate, templateStamp } = require("./prompt-templates");
+const { parseImageResponse, decodeToRgb } = require("./image-response");
+const { stringToColors } = require("./color-visualization");
+const { renderPixels } = require("./color-visualization-node");
+const { encodePng } = require("./png-encoder");
+const { createGifEncoder } = require("./gif-encoder");
+const { startStep } = require("./provenance");
+
+const DEFAULT_TEMPLATE = "vortex-image";
+const defaultTemplate = renderDefaultTemplate(DEFAULT_TEMPLATE);
+
+const FALLBACK_WIDTH = 800;
+const FALLBACK_HEIGHT = 400;
+
+const request = {
+  model: DEFAULT_MODEL,
+  systemInstruction: defaultTemplate.systemInstruction,
+  generationConfig: DEFAULT_GENERATION_CONFIG,
 };
 
-const safetySettings = [ // Added safety settings for responsible use
-  {
-    category: HarmCategory.HARM_CATEGORY_HARASSMENT,
-    threshold: HarmBlockThreshold.BLOCK_NONE,
-  },
-  {
-    category: HarmCategory.HARM_CATEGORY_HATE_SPEECH,
-    threshold: HarmBlockThreshold.BLOCK_NONE,
-  },
-  {
-    category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT,
-    threshold: HarmBlockThreshold.BLOCK_NONE,
-  },
-  {
-    category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT,
-    threshold: HarmBlockThreshold.BLOCK_NONE,
-  },
-];
-
-async function run(userPrompt) { // Made run function accept a prompt
+// Save one response as <basePath>.<ext> when it decodes to an image, or
+// else draw the text through the color visualization into
+// <basePath>.colors.png so the response is never lost
+function saveFrame(response, basePath, options) {
   try {
-    const chatSession = model.startChat({
-      generationConfig,
-      safetySettings, // Include safety settings
-      history: [
-        // Removed hardcoded example from history. This is not how you use the API.
-      ],
-    });
-
-    const result = await chatSession.sendMessage(userPrompt); // Use the provided prompt
-    const base64Image = result.response.text();
-
-    // Basic validation to check if the response looks like base64
-    if (!/^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/.test(base64Image) && base64Image.length > 0) {
-        console.error("Response is not valid base64:", base64Image.substring(0, 100)); // Log a preview
-        throw new Error("Invalid base64 response received.");
-    } else if (base64Image.length === 0) {
-        console.error("Empty response received from the model.");
-        throw new Error("Empty response received from the model.");
+    const image = parseImageResponse(response, options);
+    const file = basePath + image.extension;
+    fs.writeFileSync(file, image.data);
+    console.log(`Saved ${image.format.toUpperCase()} ${image.width}x${image.height} to ${file}`);
+    return { kind: "image", file, format: image.format, width: image.width, height: image.height };
+  } catch (error) {
+    console.error(`Not a usable image (${error.message}); rendering the response as colors instead`);
+    const file = `${basePath}.colors.png`;
+    const pixels = renderPixels(stringToColors(response), { width: FALLBACK_WIDTH, height: FALLBACK_HEIGHT });
+    fs.writeFileSync(file, encodePng(FALLBACK_WIDTH, FALLBACK_HEIGHT, pixels));
+    console.log(`Color visualization saved to ${file}`);
+    return { kind: "colors", file, width: FALLBACK_WIDTH, height: FALLBACK_HEIGHT, reason: error.message };
+  }
+}
+
+// One GIF from all frames at the size of the first decoded image. Image
+// frames are decoded and scaled (JPEG and WebP through ffmpeg); fallback
+// frames, and image frames that cannot be decoded here, are redrawn from
+// their response text at that size.
+async function assembleGif(frames, responses, outputPath, fps) {
+  const first = frames.find(frame => frame.kind === "image") || frames[0];
+  const { width, height } = first;
+  const encoder = createGifEncoder(width, height, fps, outputPath);
+
+  for (let i = 0; i < frames.length; i++) {
+    let pixels = null;
+    if (frames[i].kind === "image") {
+      try {
+        pixels = await decodeToRgb(frames[i].file, width, height);
+      } catch (error) {
+        console.error(`Could not decode ${frames[i].file} for the animation (${error.message}); using its color rendering`);
+      }
     }
+    await encoder.writeFrame(pixels || renderPixels(stringToColors(responses[i]), { width, height }));
+  }
+  await encoder.finish();
+  console.log(`Animation saved to ${outputPath}`);
+  return outputPath;
+}
 
-    console.log(base64Image); // Output the base64 string
-  } catch (error) {
-    console.error("Error:", error);
+// userPrompt is prompt text or a template rendered by prompt-templates.js.
+// options: provider, model, outputDir (default "."), frames (responses to
+// request, default 1; more than one are also assembled into
+// animation-<timestamp>.gif), fps (animation frame rate, default 2) and
+// maxDimension (largest accepted image side, default 8192).
+// Writes image-<timestamp>[-<frame>].<ext> per response and
+// image-<timestamp>.meta.json recording the template and each frame.
+async function run(userPrompt, options = {}) { // Made run function accept a prompt
+  const outputDir = options.outputDir || ".";
+  const frameCount = Math.max(1, Math.round(options.frames) || 1);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const provider = options.provider || createModelProvider();
+  const rendered = typeof userPrompt === "string" ? null : userPrompt;
+  const prompt = rendered ? rendered.prompt : userPrompt;
+
+  const template = rendered ? templateStamp(rendered) : null;
+  const systemInstruction = (rendered && rendered.systemInstruction) || request.systemInstruction;
+  const model = options.model || request.model;
+  const step = startStep("generate-image", {
+    provider: provider.name,
+    model,
+    generationConfig: request.generationConfig,
+    prompt,
+    systemInstruction,
+    template,
+    options: { frames: frameCount, fps: options.fps || 2, maxDimension: options.maxDimension || 8192 }
+  });
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const frames = [];
+  const responses = [];
+
+  for (let i = 0; i < frameCount; i++) {
+    const response = await provider.generate({
+      ...request,
+      model,
+      systemInstruction,
+      prompt: frameCount > 1 ? `${prompt}\n\nThis is frame ${i + 1} of ${frameCount} of an animation.` : prompt
+    }); // Use the provided prompt
+
+    const name = frameCount > 1 ? `image-${timestamp}-${String(i + 1).padStart(3, "0")}` : `image-${timestamp}`;
+    frames.push(saveFrame(response, path.join(outputDir, name), options));
+    responses.push(response);
+  }
+
+  // The meta file is written before the animation is assembled, so the
+  // frames are on record even if that fails, and again once it exists
+  const result = {
+    template,
+    frames,
+    animation: null
+  };
+  const metaFile = path.join(outputDir, `image-${timestamp}.meta.json`);
+  fs.writeFileSync(metaFile, JSON.stringify(result, null, 2));
+
+  if (frameCount > 1) {
+    result.animation = await assembleGif(frames, responses, path.join(outputDir, `animation-${timestamp}.gif`), options.fps || 2);
+    fs.writeFileSync(metaFile, JSON.stringify(result, null, 2));
   }
+
+  const outputs = [...frames.map(frame => frame.file), ...(result.animation ? [result.animation] : []), metaFile];
+  const ffmpeg = result.animation !== null &&
+    frames.some(frame => frame.kind === "image" && frame.format !== "png" && frame.format !== "gif");
+  return { ...result, manifest: step.finish({ outputs, ffmpeg }) };
 }
 
-// Example usage:
-const prompt = "Imagine a single frame of a GIF that visually represents the 'space' between the encoded and decoded state of a chess game. This frame should be abstract and not directly depict a chess game. Focus on the data transformation process.\n\nUse a low-poly, geometric visual style. Depict a swirling vortex or tunnel made of interconnected, colored polygonal shapes. The colors should transition from cool blues and purples (representing the encoded, digital state) to warmer yellows and oranges (representing the decoded, more 'playable' state). Within the vortex, hint at abstract representations of chess pieces, as if they are being broken down and reassembled. The overall feeling should be that of a chaotic but controlled transformation of information. The background should be a dark, solid color to emphasize the colorful shapes in the foreground. The scene is not to look like a chess board. The shapes should have a flowing motion, suggesting dynamic transformation. The image should be centered. Output the image as a base64 encoded string for a GIF frame. No other text is needed.";
-run(prompt);
+module.exports = {
+  DEFAULT_TEMPLATE,
+  run
+};
+
+if (require.main === module) {
+  // Example usage (optionally with a frame count: node gemini-image-generator.js 4):
+  run(defaultTemplate, { frames: Number(process.argv[2]) || 1 }).catch(error => {
+    console.error("Error:", error);
+    process.exitCode = 1;
+  });
 
-// Or call it with a different prompt:
-// run("A futuristic cityscape at night, neon lights reflecting on wet streets.");
\ No newline at end of file
+  // Or call it with a different prompt:
+  // run("A futuristic cityscape at night, neon lights reflecting on wet streets.");
+  // or template variables:
+  // run(renderDefaultTemplate(DEFAULT_TEMPLATE, { subject: "a game of go", pieces: "go stones", board: "a go board" }));
+}
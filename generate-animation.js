@@ -1,103 +1,291 @@
-const fs = require('fs');
-const { exec } = require('child_process');
-
-// Function to create a PPM frame
-function createPPMFrame(width, height, color) {
-    const header = `P3\n${width} ${height}\n255\n`;
-    let frameData = header;
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            frameData += `${color.r} ${color.g} ${color.b} `;
-        }
-        frameData += '\n';
+const path = require('path');
+const { spawn } = require('child_process');
+const { buildTimeline, colorAt } = require('./color-timeline');
+const { renderFrame } = require('./frame-layouts');
+const { createGifEncoder } = require('./gif-encoder');
+const { createApngEncoder } = require('./png-encoder');
+
+const { prepareMultimodalPrompt } = require('./multimodal-transform');
+const { synthesize, encodeWav } = require('./audio-synth');
+const { startStep, stepOptions } = require('./provenance');
+const { readColorFile } = require('./color-parser');
+
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.mkv', '.webm'];
+
+// Video and audio codec arguments by output extension
+function codecArgs(outputVideoPath) {
+    if (path.extname(outputVideoPath).toLowerCase() === '.webm') {
+        return {
+            video: ['-c:v', 'libvpx-vp9', '-b:v', '0', '-crf', '32'],
+            audio: ['-c:a', 'libopus', '-b:a', '128k']
+        };
     }
-    return frameData;
+    return {
+        video: ['-c:v', 'libx264', '-preset', 'fast'],
+        audio: ['-c:a', 'aac', '-b:a', '192k']
+    };
 }
 
-// Function to save a frame to a file
-function saveFrame(frameDir, frameIndex, frameData) {
-    const framePath = `${frameDir}/frame_${String(frameIndex).padStart(4, '0')}.ppm`;
-    fs.writeFileSync(framePath, frameData);
-    console.log(`Generated frame ${frameIndex + 1}`);
-}
+// Function to start an ffmpeg process that reads raw RGB frames from stdin
+// and encodes them into a video. Resolves through finish() once ffmpeg exits.
+// options.audio is a WAV buffer muxed in as the soundtrack; it is fed
+// through a second pipe so nothing touches the disk.
+function createVideoEncoder(width, height, frameRate, outputVideoPath, options = {}) {
+    const codecs = codecArgs(outputVideoPath);
+    const args = [
+        '-y', '-loglevel', 'error',
+        '-f', 'rawvideo', '-pix_fmt', 'rgb24',
+        '-s', `${width}x${height}`, '-r', String(frameRate),
+        '-i', 'pipe:0',
+        ...(options.audio ? ['-f', 'wav', '-i', 'pipe:3', ...codecs.audio] : []),
+        ...codecs.video,
+        // yuv420p needs even dimensions
+        '-vf', 'pad=ceil(iw/2)*2:ceil(ih/2)*2',
+        '-pix_fmt', 'yuv420p',
+        outputVideoPath
+    ];
 
-// Function to combine frames into a video using ffmpeg
-function createVideo(frameDir, frameRate, outputVideoPath) {
-    return new Promise((resolve, reject) => {
-        const ffmpegCommand = `ffmpeg -framerate ${frameRate} -i ${frameDir}/frame_%04d.ppm -c:v libx264 -pix_fmt yuv420p ${outputVideoPath}`;
-        exec(ffmpegCommand, (error, stdout, stderr) => {
-            if (error) {
-                console.error(`Error creating video: ${error.message}`);
-                reject(error);
-                return;
-            }
-            if (stderr) {
-                console.error(`ffmpeg stderr: ${stderr}`);
-            }
-            console.log(`Video saved to ${outputVideoPath}`);
-            resolve();
+    const stdio = ['pipe', 'ignore', 'pipe'];
+    if (options.audio) stdio.push('pipe');
+    const ffmpeg = spawn('ffmpeg', args, { stdio });
+    let stderr = '';
+    let failure = null;
+
+    ffmpeg.stderr.on('data', chunk => {
+        stderr = (stderr + chunk).slice(-4000);
+    });
+
+    const finished = new Promise((resolve, reject) => {
+        ffmpeg.on('error', error => {
+            failure = error.code === 'ENOENT'
+                ? new Error('ffmpeg was not found on PATH')
+                : error;
+            reject(failure);
+        });
+        ffmpeg.on('close', code => {
+            if (code === 0) return resolve();
+            failure = failure || new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`);
+            reject(failure);
         });
     });
-}
+    // Failures are reported through writeFrame() and finish()
+    finished.catch(() => {});
+    ffmpeg.stdin.on('error', () => {});
 
-// Function to clean up the frames directory
-function cleanupFrames(frameDir) {
-    fs.rmSync(frameDir, { recursive: true, force: true });
+    if (options.audio) {
+        ffmpeg.stdio[3].on('error', () => {});
+        ffmpeg.stdio[3].end(options.audio);
+    }
+
+    return {
+        async writeFrame(pixels) {
+            if (failure) throw failure;
+            if (!ffmpeg.stdin.write(pixels)) {
+                await Promise.race([
+                    new Promise(resolve => ffmpeg.stdin.once('drain', resolve)),
+                    finished
+                ]);
+            }
+        },
+        async finish() {
+            ffmpeg.stdin.end();
+            await finished;
+        },
+        abort() {
+            ffmpeg.kill();
+        }
+    };
 }
 
-async function generateAnimation(inputFilePath, outputVideoPath, frameRate = 30, duration = 5) {
-    try {
-        // Read the combined data
-        const rawData = fs.readFileSync(inputFilePath, 'utf-8');
-        const combinedData = JSON.parse(rawData);
-        const colors = combinedData.colors;
-
-        if (!colors || colors.length === 0) {
-            console.error("No color data found.");
-            return;
+// GIF palette: the sequence colors and black (used by the grid layout),
+// with the remaining slots sampled evenly along the interpolated timeline
+function paletteFromTimeline(colors, timeline, size = 256) {
+    const palette = [];
+    const seen = new Set();
+    const add = color => {
+        const key = `${color.r},${color.g},${color.b}`;
+        if (palette.length < size && !seen.has(key)) {
+            seen.add(key);
+            palette.push(color);
         }
+    };
 
-        const numFrames = frameRate * duration;
-        const width = 800;
-        const height = 400;
-        const frameDir = 'frames';
+    colors.forEach(add);
+    add({ r: 0, g: 0, b: 0 });
+    const samples = size - palette.length;
+    for (let i = 0; i < samples; i++) {
+        add(colorAt(timeline, samples > 1 ? i / (samples - 1) : 0));
+    }
+    return palette;
+}
 
-        // Create frames directory if it doesn't exist
-        if (!fs.existsSync(frameDir)) {
-            fs.mkdirSync(frameDir);
-        }
+// GIF and APNG are written directly, everything else goes through ffmpeg
+function createEncoder(width, height, frameRate, outputPath, frame) {
+    const extension = path.extname(outputPath).toLowerCase();
+    if (extension === '.gif') {
+        return createGifEncoder(width, height, frameRate, outputPath, {
+            palette: paletteFromTimeline(frame.colors, frame.timeline)
+        });
+    }
+    if (extension === '.png' || extension === '.apng') {
+        return createApngEncoder(width, height, frameRate, outputPath);
+    }
+    return createVideoEncoder(width, height, frameRate, outputPath);
+}
 
-        // Generate frames
-        for (let i = 0; i < numFrames; i++) {
-            // Calculate the color index based on the frame number.
-            // This maps the linear time axis of the video to the color sequence.
-            // The color sequence itself is generated by the Gemini model and is not linear.
-            const colorIndex = Math.floor((i / numFrames) * colors.length);
-            const color = colors[colorIndex];
-
-            // Create and save the frame
-            const frameData = createPPMFrame(width, height, color);
-            saveFrame(frameDir, i, frameData);
-        }
+// Progress on one line when attached to a terminal, every 10% otherwise
+function reportProgress(frameIndex, numFrames) {
+    const done = frameIndex + 1;
+    if (process.stdout.isTTY) {
+        process.stdout.write(`\rRendered frame ${done}/${numFrames}`);
+        if (done === numFrames) process.stdout.write('\n');
+    } else if (done === numFrames || done % Math.max(1, Math.round(numFrames / 10)) === 0) {
+        console.log(`Rendered frame ${done}/${numFrames} (${Math.round(done / numFrames * 100)}%)`);
+    }
+}
 
-        // Combine frames into a video
-        await createVideo(frameDir, frameRate, outputVideoPath);
+// Read the color sequence from a colors CSV, combined JSON or raw
+// response (see readColorFile() in color-parser.js); options.decoding and
+// options.mapping apply to raw responses
+function readColors(inputFilePath, options = {}) {
+    const { colors } = readColorFile(inputFilePath, options);
 
-        // Clean up frames directory
-        cleanupFrames(frameDir);
+    if (!colors || colors.length === 0) {
+        throw new Error("No color data found.");
+    }
+    return colors;
+}
 
+// Render every frame into the encoder. progressAt(i) gives the point on
+// the timeline (0-1) that frame i shows.
+async function renderFrames(encoder, numFrames, width, height, frame, progressAt, onProgress) {
+    try {
+        for (let i = 0; i < numFrames; i++) {
+            await encoder.writeFrame(renderFrame(width, height, progressAt(i), frame));
+            onProgress(i, numFrames);
+        }
+        await encoder.finish();
     } catch (error) {
-        console.error("Error:", error);
+        encoder.abort();
+        throw error;
     }
 }
 
-// Get the file names from the command line arguments
-const inputFile = process.argv[2];
-const outputFile = process.argv[3] || 'output.mp4'; // Default output file
+function frameOptions(colors, timeline, options) {
+    return {
+        layout: options.layout,
+        span: options.span,
+        stripes: options.stripes,
+        colors,
+        timeline
+    };
+}
+
+// options: interpolation (rgb, hsl, lab, oklab), easing, hold (units per
+// color, number or array), transition (units per blend) and loop.
+// See color-timeline.js for how these lay the colors out over time.
+// layout picks the frame layout from frame-layouts.js (default solid),
+// with width/height for the frame size and span for the share of the
+// timeline visible at once in gradient, radial and waveform layouts and
+// stripes for the number of colors visible at once in the stripes layout.
+// onProgress(frameIndex, numFrames) replaces the default progress output.
+// The output format follows the file extension: .gif and .png/.apng are
+// encoded in JavaScript, anything else (.mp4, .webm) needs ffmpeg.
+async function generateAnimation(inputFilePath, outputVideoPath, frameRate = 30, duration = 5, options = {}) {
+    const step = startStep('animate', { options: { ...stepOptions(options), frameRate, duration } });
+    const colors = readColors(inputFilePath, options);
+    const timeline = buildTimeline(colors, options);
+    const numFrames = Math.round(frameRate * duration);
+    const width = Math.round(options.width) || 800;
+    const height = Math.round(options.height) || 400;
+    const frame = frameOptions(colors, timeline, options);
+
+    const encoder = createEncoder(width, height, frameRate, outputVideoPath, frame);
+
+    // Map the linear time axis of the video onto the color timeline,
+    // blending between consecutive colors. The color sequence itself
+    // is generated by the Gemini model and is not linear.
+    await renderFrames(encoder, numFrames, width, height, frame,
+        i => numFrames > 1 ? i / (numFrames - 1) : 0,
+        options.onProgress || reportProgress);
+
+    step.finish({
+        inputs: [inputFilePath],
+        outputs: [outputVideoPath],
+        ffmpeg: !['.gif', '.png', '.apng'].includes(path.extname(outputVideoPath).toLowerCase())
+    });
+    console.log(`Animation saved to ${outputVideoPath}`);
+}
+
+// Hold each color for one note and blend into the next over the last
+// `transitionTime` seconds of the note, so every visual change finishes
+// exactly where the next note starts. Units are seconds.
+function syncedTimelineOptions(colorCount, noteDuration, transitionTime) {
+    const transition = Math.min(transitionTime, noteDuration);
+    const hold = Array.from({ length: colorCount }, (_, i) =>
+        i < colorCount - 1 ? noteDuration - transition : noteDuration);
+    return { hold, transition, loop: false };
+}
+
+// Color animation with the sonified sequence from multimodal-transform.js
+// as its soundtrack. Both are rendered against one timeline of
+// noteDuration seconds per color, so the video length is set by the
+// number of colors. Takes the same layout and interpolation options as
+// generateAnimation(), plus noteDuration (default 0.5), transitionTime
+// (default 0.05) and sampleRate for the audio.
+async function generateSyncedVideo(inputFilePath, outputVideoPath, frameRate = 30, options = {}) {
+    if (!VIDEO_EXTENSIONS.includes(path.extname(outputVideoPath).toLowerCase())) {
+        throw new Error(`Audio can only be muxed into ${VIDEO_EXTENSIONS.join(', ')} files`);
+    }
+
+    const step = startStep('animate', { options: { ...stepOptions(options), frameRate, audio: true } });
+    const colors = readColors(inputFilePath, options);
+    const noteDuration = options.noteDuration || 0.5;
+    const { audio } = prepareMultimodalPrompt(colors, { noteDuration });
+    const sampleRate = Math.round(options.sampleRate) || 44100;
+    const wav = encodeWav(synthesize(audio, { sampleRate }), sampleRate);
+
+    const timeline = buildTimeline(colors, {
+        ...options,
+        ...syncedTimelineOptions(colors.length, noteDuration, options.transitionTime ?? 0.05)
+    });
+    const numFrames = Math.round(frameRate * audio.duration);
+    const width = Math.round(options.width) || 800;
+    const height = Math.round(options.height) || 400;
+    const frame = frameOptions(colors, timeline, options);
+
+    const encoder = createVideoEncoder(width, height, frameRate, outputVideoPath, { audio: wav });
+
+    // Each frame shows the moment it starts at, matching the audio clock
+    await renderFrames(encoder, numFrames, width, height, frame,
+        i => i / numFrames,
+        options.onProgress || reportProgress);
 
-if (!inputFile) {
-    console.error("Usage: node generate-animation.js <combined-data-file> [output-video-file]");
-    process.exit(1);
+    step.finish({ inputs: [inputFilePath], outputs: [outputVideoPath], ffmpeg: true });
+    console.log(`Video with ${colors.length} notes (${audio.duration}s) saved to ${outputVideoPath}`);
 }
 
-generateAnimation(inputFile, outputFile);
+module.exports = {
+    createEncoder,
+    createVideoEncoder,
+    paletteFromTimeline,
+    syncedTimelineOptions,
+    generateAnimation,
+    generateSyncedVideo
+};
+
+if (require.main === module) {
+    // Get the file names from the command line arguments
+    const inputFile = process.argv[2];
+    const outputFile = process.argv[3] || 'output.mp4'; // Default output file
+
+    if (!inputFile) {
+        console.error("Usage: node generate-animation.js <combined-data-file> [output-video-file]");
+        process.exit(1);
+    }
+
+    generateAnimation(inputFile, outputFile).catch(error => {
+        console.error("Error:", error);
+        process.exitCode = 1;
+    });
+}
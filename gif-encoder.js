@@ -0,0 +1,206 @@
+const fs = require('fs');
+
+// Animated GIF encoder. Frames are RGB buffers that get mapped onto a
+// palette of at most 256 colors (usually built from the color sequence);
+// identical consecutive frames are merged into one longer frame.
+
+// 6x7x6 color cube, used when no palette is given
+function uniformPalette() {
+    const palette = [];
+    for (let r = 0; r < 6; r++) {
+        for (let g = 0; g < 7; g++) {
+            for (let b = 0; b < 6; b++) {
+                palette.push({
+                    r: Math.round(r * 255 / 5),
+                    g: Math.round(g * 255 / 6),
+                    b: Math.round(b * 255 / 5)
+                });
+            }
+        }
+    }
+    return palette;
+}
+
+// Map RGB pixels to palette indices, caching the nearest match per color
+function createQuantizer(palette) {
+    const cache = new Map();
+
+    return function quantize(pixels) {
+        const indices = new Uint8Array(pixels.length / 3);
+        for (let i = 0; i < indices.length; i++) {
+            const r = pixels[i * 3], g = pixels[i * 3 + 1], b = pixels[i * 3 + 2];
+            const key = (r << 16) | (g << 8) | b;
+            let index = cache.get(key);
+
+            if (index === undefined) {
+                let best = Infinity;
+                for (let p = 0; p < palette.length; p++) {
+                    const dr = palette[p].r - r, dg = palette[p].g - g, db = palette[p].b - b;
+                    // Weighted for perceived brightness
+                    const distance = 2 * dr * dr + 4 * dg * dg + 3 * db * db;
+                    if (distance < best) {
+                        best = distance;
+                        index = p;
+                    }
+                }
+                cache.set(key, index);
+            }
+            indices[i] = index;
+        }
+        return indices;
+    };
+}
+
+// GIF-flavoured LZW with variable code sizes up to 12 bits. The string
+// table is a flat array keyed by (prefix code << 8 | index), invalidated
+// by bumping a generation counter instead of clearing it.
+function createLzwEncoder() {
+    const table = new Int16Array(4096 * 256);
+    const generation = new Uint32Array(4096 * 256);
+    let currentGeneration = 0;
+
+    return function lzwEncode(indices, minCodeSize = 8) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const bytes = [];
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let bitBuffer = 0;
+        let bitCount = 0;
+
+        const emit = code => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                bytes.push(bitBuffer & 0xff);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        currentGeneration++;
+        emit(clearCode);
+
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const k = indices[i];
+            const key = (prefix << 8) | k;
+
+            if (generation[key] === currentGeneration) {
+                prefix = table[key];
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode === 4096) {
+                emit(clearCode);
+                currentGeneration++;
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table[key] = nextCode++;
+                generation[key] = currentGeneration;
+            }
+            prefix = k;
+        }
+
+        emit(prefix);
+        emit(endCode);
+        if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+
+        return Buffer.from(bytes);
+    };
+}
+
+// Split image data into the length-prefixed sub-blocks GIF expects
+function toSubBlocks(data) {
+    const blocks = [];
+    for (let i = 0; i < data.length; i += 255) {
+        const chunk = data.subarray(i, i + 255);
+        blocks.push(Buffer.from([chunk.length]), chunk);
+    }
+    blocks.push(Buffer.from([0]));
+    return Buffer.concat(blocks);
+}
+
+function uint16(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16LE(value);
+    return buffer;
+}
+
+// options: palette (array of {r, g, b}, at most 256), loop (play count,
+// 0 = forever). Same interface as the ffmpeg encoder in generate-animation.js.
+function createGifEncoder(width, height, frameRate, outputPath, options = {}) {
+    const palette = (options.palette && options.palette.length > 0
+        ? options.palette
+        : uniformPalette()).slice(0, 256);
+    const quantize = createQuantizer(palette);
+    const lzwEncode = createLzwEncoder();
+
+    const colorTable = Buffer.alloc(256 * 3);
+    palette.forEach((color, i) => {
+        colorTable[i * 3] = color.r;
+        colorTable[i * 3 + 1] = color.g;
+        colorTable[i * 3 + 2] = color.b;
+    });
+
+    const parts = [
+        Buffer.from('GIF89a'),
+        uint16(width), uint16(height),
+        // Global color table present, 8 bits per channel, 256 entries
+        Buffer.from([0xf7, 0, 0]),
+        colorTable,
+        // NETSCAPE2.0 application extension: loop count
+        Buffer.from([0x21, 0xff, 0x0b]), Buffer.from('NETSCAPE2.0'),
+        Buffer.from([0x03, 0x01]), uint16(options.loop ?? 0), Buffer.from([0x00])
+    ];
+
+    let pending = null;
+    let frameCount = 0;
+    let writtenCentiseconds = 0;
+
+    // GIF delays are whole centiseconds, so round against the running
+    // total to keep long animations from drifting
+    const flush = () => {
+        if (!pending) return;
+        const endCentiseconds = Math.round((frameCount / frameRate) * 100);
+        const delay = Math.max(2, endCentiseconds - writtenCentiseconds);
+        writtenCentiseconds += delay;
+
+        parts.push(
+            // Graphic control extension: no disposal, delay
+            Buffer.from([0x21, 0xf9, 0x04, 0x04]), uint16(delay), Buffer.from([0, 0]),
+            // Image descriptor covering the whole canvas, no local color table
+            Buffer.from([0x2c]), uint16(0), uint16(0), uint16(width), uint16(height), Buffer.from([0]),
+            Buffer.from([8]),
+            toSubBlocks(lzwEncode(quantize(pending)))
+        );
+        pending = null;
+    };
+
+    let previous = null;
+
+    return {
+        async writeFrame(pixels) {
+            if (previous && !pixels.equals(previous)) flush();
+            if (!pending) pending = pixels;
+            previous = pixels;
+            frameCount++;
+        },
+        async finish() {
+            flush();
+            parts.push(Buffer.from([0x3b]));
+            await fs.promises.writeFile(outputPath, Buffer.concat(parts));
+        },
+        abort() {
+            parts.length = 0;
+        }
+    };
+}
+
+module.exports = {
+    createGifEncoder,
+    uniformPalette
+};
@@ -0,0 +1,484 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { spawn } = require('child_process');
+
+// Handling of image responses: base64 payloads are decoded, the format is
+// sniffed from the magic bytes (GIF, PNG, JPEG or WebP) and the header
+// dimensions are read and sanity-checked before anything is written.
+
+const IMAGE_FORMATS = {
+    png: { extension: '.png', mimeType: 'image/png' },
+    gif: { extension: '.gif', mimeType: 'image/gif' },
+    jpeg: { extension: '.jpg', mimeType: 'image/jpeg' },
+    webp: { extension: '.webp', mimeType: 'image/webp' }
+};
+
+const BASE64 = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+// Models wrap payloads in code fences, data: URLs and line breaks; strip
+// those and decode. Throws when what is left is not base64.
+function decodeImagePayload(text) {
+    const payload = text.trim()
+        .replace(/^```[\w-]*\s*|\s*```$/g, '')
+        .replace(/^data:[^,]*;base64,/, '')
+        .replace(/\s+/g, '');
+
+    if (payload.length === 0) {
+        throw new Error('Empty response received from the model.');
+    }
+    if (!BASE64.test(payload)) {
+        throw new Error(`Response is not valid base64: ${payload.substring(0, 100)}`);
+    }
+    return Buffer.from(payload, 'base64');
+}
+
+// Width and height from the first frame header (SOFn) of a JPEG
+function jpegDimensions(data) {
+    let offset = 2;
+    while (offset + 9 < data.length) {
+        if (data[offset] !== 0xff) return null;
+        const marker = data[offset + 1];
+        if (marker === 0xff) {
+            offset++; // fill byte
+            continue;
+        }
+        if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            offset += 2;
+            continue;
+        }
+        if (marker === 0xda || marker === 0xd9) return null; // image data before any frame header
+        if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            return { height: data.readUInt16BE(offset + 5), width: data.readUInt16BE(offset + 7) };
+        }
+        offset += 2 + data.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+// Width and height from the first chunk of a WebP (lossy, lossless or extended)
+function webpDimensions(data) {
+    if (data.length < 30) return null;
+    const chunk = data.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ' && data[23] === 0x9d && data[24] === 0x01 && data[25] === 0x2a) {
+        return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L' && data[20] === 0x2f) {
+        const bits = data.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+        return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+}
+
+// { format, extension, mimeType, width, height } (dimensions null when the
+// header is cut short), or null when the bytes are not a known image format
+function sniffImage(data) {
+    let format = null;
+    let dimensions = null;
+
+    if (data.length >= 8 && data.readUInt32BE(0) === 0x89504e47 && data.readUInt32BE(4) === 0x0d0a1a0a) {
+        format = 'png';
+        if (data.length >= 24 && data.toString('ascii', 12, 16) === 'IHDR') {
+            dimensions = { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+        }
+    } else if (data.length >= 6 && /^GIF8[79]a$/.test(data.toString('ascii', 0, 6))) {
+        format = 'gif';
+        if (data.length >= 10) {
+            dimensions = { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+        }
+    } else if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+        format = 'jpeg';
+        dimensions = jpegDimensions(data);
+    } else if (data.length >= 12 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') {
+        format = 'webp';
+        dimensions = webpDimensions(data);
+    }
+
+    if (!format) return null;
+    return {
+        format,
+        ...IMAGE_FORMATS[format],
+        width: dimensions ? dimensions.width : null,
+        height: dimensions ? dimensions.height : null
+    };
+}
+
+// Decode, sniff and check a response. options.maxDimension caps either
+// side (default 8192). Returns { data, ...sniffImage() } or throws with the
+// reason the response is not a usable image.
+function parseImageResponse(text, options = {}) {
+    const maxDimension = options.maxDimension || 8192;
+    const data = decodeImagePayload(text);
+    const image = sniffImage(data);
+
+    if (!image) {
+        const magic = data.subarray(0, 8).toString('hex').replace(/(..)(?=.)/g, '$1 ');
+        throw new Error(`Decoded ${data.length} bytes are not a GIF, PNG, JPEG or WebP image (starts ${magic})`);
+    }
+    if (!image.width || !image.height) {
+        throw new Error(`${image.format.toUpperCase()} header has no usable dimensions`);
+    }
+    if (image.width > maxDimension || image.height > maxDimension) {
+        throw new Error(`${image.format.toUpperCase()} is ${image.width}x${image.height}, larger than ${maxDimension}px`);
+    }
+    return { data, ...image };
+}
+
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 passes as [x start, y start, x step, y step]
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+// Undo the per-row filters of one (sub)image, returning the
+// unfiltered rows and the offset just past them
+function unfilter(data, offset, rowBytes, rows, bpp) {
+    const out = Buffer.alloc(rowBytes * rows);
+    for (let y = 0; y < rows; y++) {
+        const type = data[offset++];
+        const row = y * rowBytes;
+        for (let i = 0; i < rowBytes; i++) {
+            const a = i >= bpp ? out[row + i - bpp] : 0;
+            const b = y > 0 ? out[row - rowBytes + i] : 0;
+            const c = i >= bpp && y > 0 ? out[row - rowBytes + i - bpp] : 0;
+            const value = data[offset + i];
+            switch (type) {
+                case 0: out[row + i] = value; break;
+                case 1: out[row + i] = value + a; break;
+                case 2: out[row + i] = value + b; break;
+                case 3: out[row + i] = value + ((a + b) >> 1); break;
+                case 4: out[row + i] = value + paeth(a, b, c); break;
+                default: throw new Error(`PNG row uses unknown filter type ${type}`);
+            }
+        }
+        offset += rowBytes;
+    }
+    return { rows: out, offset };
+}
+
+// Any PNG (every color type and bit depth, interlaced or not) as RGB;
+// transparency is composited over black
+function decodePng(data) {
+    let offset = 8;
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+
+    while (offset + 8 <= data.length) {
+        const length = data.readUInt32BE(offset);
+        const type = data.toString('ascii', offset + 4, offset + 8);
+        const chunk = data.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+
+        if (type === 'IHDR') {
+            header = {
+                width: chunk.readUInt32BE(0),
+                height: chunk.readUInt32BE(4),
+                depth: chunk[8],
+                colorType: chunk[9],
+                interlaced: chunk[12] === 1
+            };
+        } else if (type === 'PLTE') {
+            palette = chunk;
+        } else if (type === 'tRNS') {
+            transparency = chunk;
+        } else if (type === 'IDAT') {
+            idat.push(chunk);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+    if (!header || idat.length === 0) {
+        throw new Error('PNG has no IHDR or image data');
+    }
+
+    const { width, height, depth, colorType } = header;
+    const channels = PNG_CHANNELS[colorType];
+    if (!channels || ![1, 2, 4, 8, 16].includes(depth)) {
+        throw new Error(`Unsupported PNG color type ${colorType} at bit depth ${depth}`);
+    }
+    if (colorType === 3 && !palette) {
+        throw new Error('Palette PNG has no PLTE chunk');
+    }
+
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const bitsPerPixel = channels * depth;
+    const bpp = Math.max(1, bitsPerPixel >> 3);
+    const maxValue = (1 << Math.min(depth, 8)) - 1;
+    const pixels = Buffer.alloc(width * height * 3);
+
+    // Sample `channel` of pixel x in an unfiltered row, scaled to 0-255
+    // (palette indexes are returned as is)
+    function sample(rows, row, x, channel) {
+        if (depth === 16) return rows[row + (x * channels + channel) * 2];
+        if (depth === 8) return rows[row + x * channels + channel];
+        const bit = (x * channels + channel) * depth;
+        const value = (rows[row + (bit >> 3)] >> (8 - depth - (bit & 7))) & maxValue;
+        return colorType === 3 ? value : Math.round(value * 255 / maxValue);
+    }
+
+    function sample16(rows, row, x, channel) {
+        return depth === 16
+            ? rows.readUInt16BE(row + (x * channels + channel) * 2)
+            : sample(rows, row, x, channel);
+    }
+
+    function put(rows, row, x, target) {
+        let r, g, b, alpha = 255;
+        if (colorType === 3) {
+            const index = sample(rows, row, x, 0);
+            r = palette[index * 3];
+            g = palette[index * 3 + 1];
+            b = palette[index * 3 + 2];
+            if (transparency && index < transparency.length) alpha = transparency[index];
+        } else if (colorType === 0 || colorType === 4) {
+            r = g = b = sample(rows, row, x, 0);
+            if (colorType === 4) alpha = sample(rows, row, x, 1);
+            else if (transparency && sample16(rows, row, x, 0) === transparency.readUInt16BE(0)) alpha = 0;
+        } else {
+            r = sample(rows, row, x, 0);
+            g = sample(rows, row, x, 1);
+            b = sample(rows, row, x, 2);
+            if (colorType === 6) alpha = sample(rows, row, x, 3);
+            else if (transparency && transparency.length >= 6 &&
+                sample16(rows, row, x, 0) === transparency.readUInt16BE(0) &&
+                sample16(rows, row, x, 1) === transparency.readUInt16BE(2) &&
+                sample16(rows, row, x, 2) === transparency.readUInt16BE(4)) alpha = 0;
+        }
+        pixels[target] = Math.round(r * alpha / 255);
+        pixels[target + 1] = Math.round(g * alpha / 255);
+        pixels[target + 2] = Math.round(b * alpha / 255);
+    }
+
+    const passes = header.interlaced ? ADAM7 : [[0, 0, 1, 1]];
+    offset = 0;
+    for (const [x0, y0, dx, dy] of passes) {
+        const passWidth = Math.ceil((width - x0) / dx);
+        const passHeight = Math.ceil((height - y0) / dy);
+        if (passWidth <= 0 || passHeight <= 0) continue;
+        const rowBytes = Math.ceil(passWidth * bitsPerPixel / 8);
+        const result = unfilter(raw, offset, rowBytes, passHeight, bpp);
+        offset = result.offset;
+        for (let y = 0; y < passHeight; y++) {
+            for (let x = 0; x < passWidth; x++) {
+                put(result.rows, y * rowBytes, x, ((y0 + y * dy) * width + x0 + x * dx) * 3);
+            }
+        }
+    }
+
+    return { width, height, pixels };
+}
+
+// Variable-width LZW decoding of GIF image data
+function decodeLzw(data, minCodeSize, pixelCount) {
+    const clear = 1 << minCodeSize;
+    const end = clear + 1;
+    const prefix = new Uint16Array(4096);
+    const suffix = new Uint8Array(4096);
+    const first = new Uint8Array(4096);
+    const stack = new Uint8Array(4097);
+    const output = Buffer.alloc(pixelCount);
+    for (let i = 0; i < clear; i++) {
+        suffix[i] = i;
+        first[i] = i;
+    }
+
+    let codeSize = minCodeSize + 1;
+    let next = end + 1;
+    let previous = -1;
+    let bits = 0;
+    let buffer = 0;
+    let written = 0;
+
+    for (let i = 0; i < data.length && written < pixelCount; i++) {
+        buffer |= data[i] << bits;
+        bits += 8;
+        while (bits >= codeSize && written < pixelCount) {
+            const code = buffer & ((1 << codeSize) - 1);
+            buffer >>>= codeSize;
+            bits -= codeSize;
+
+            if (code === clear) {
+                codeSize = minCodeSize + 1;
+                next = end + 1;
+                previous = -1;
+                continue;
+            }
+            if (code === end) return output;
+
+            let top = 0;
+            let current = code;
+            if (previous !== -1 && code >= next) {
+                // The code being defined: previous string plus its first byte
+                stack[top++] = first[previous];
+                current = previous;
+            } else if (previous === -1 && code >= clear) {
+                throw new Error('GIF image data starts with an undefined code');
+            }
+            while (current >= clear) {
+                stack[top++] = suffix[current];
+                current = prefix[current];
+            }
+            stack[top++] = current;
+            const firstByte = current;
+            while (top > 0 && written < pixelCount) output[written++] = stack[--top];
+
+            if (previous !== -1 && next < 4096) {
+                prefix[next] = previous;
+                suffix[next] = firstByte;
+                first[next] = first[previous];
+                next++;
+                if (next === 1 << codeSize && codeSize < 12) codeSize++;
+            }
+            previous = code;
+        }
+    }
+    return output;
+}
+
+// First frame of a GIF as RGB at the logical screen size; transparent
+// pixels and the area outside the frame are black
+function decodeGif(data) {
+    const width = data.readUInt16LE(6);
+    const height = data.readUInt16LE(8);
+    const flags = data[10];
+    let offset = 13;
+    let colors = null;
+    if (flags & 0x80) {
+        const size = 3 << ((flags & 7) + 1);
+        colors = data.subarray(offset, offset + size);
+        offset += size;
+    }
+
+    let transparent = -1;
+    while (offset < data.length) {
+        const introducer = data[offset++];
+        if (introducer === 0x21) {
+            const label = data[offset++];
+            if (label === 0xf9 && data[offset] >= 4 && (data[offset + 1] & 1)) {
+                transparent = data[offset + 4];
+            }
+            while (data[offset] !== 0 && offset < data.length) offset += data[offset] + 1;
+            offset++;
+        } else if (introducer === 0x2c) {
+            const left = data.readUInt16LE(offset);
+            const top = data.readUInt16LE(offset + 2);
+            const frameWidth = data.readUInt16LE(offset + 4);
+            const frameHeight = data.readUInt16LE(offset + 6);
+            const frameFlags = data[offset + 8];
+            offset += 9;
+            if (frameFlags & 0x80) {
+                const size = 3 << ((frameFlags & 7) + 1);
+                colors = data.subarray(offset, offset + size);
+                offset += size;
+            }
+            if (!colors) throw new Error('GIF frame has no color table');
+
+            const minCodeSize = data[offset++];
+            const blocks = [];
+            while (offset < data.length && data[offset] !== 0) {
+                blocks.push(data.subarray(offset + 1, offset + 1 + data[offset]));
+                offset += data[offset] + 1;
+            }
+            const indexes = decodeLzw(Buffer.concat(blocks), minCodeSize, frameWidth * frameHeight);
+
+            // Interlaced rows are stored in four passes
+            const rowOrder = [];
+            if (frameFlags & 0x40) {
+                for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+                    for (let y = start; y < frameHeight; y += step) rowOrder.push(y);
+                }
+            } else {
+                for (let y = 0; y < frameHeight; y++) rowOrder.push(y);
+            }
+
+            const pixels = Buffer.alloc(width * height * 3);
+            rowOrder.forEach((frameY, i) => {
+                const y = top + frameY;
+                if (y >= height) return;
+                for (let x = 0; x < frameWidth && left + x < width; x++) {
+                    const index = indexes[i * frameWidth + x];
+                    if (index === transparent) continue;
+                    colors.copy(pixels, (y * width + left + x) * 3, index * 3, index * 3 + 3);
+                }
+            });
+            return { width, height, pixels };
+        } else {
+            break;
+        }
+    }
+    throw new Error('GIF has no image frame');
+}
+
+// Nearest-neighbour scaling of an RGB buffer
+function scaleRgb(image, width, height) {
+    if (image.width === width && image.height === height) return image.pixels;
+    const pixels = Buffer.alloc(width * height * 3);
+    for (let y = 0; y < height; y++) {
+        const sourceY = Math.min(image.height - 1, Math.floor((y + 0.5) * image.height / height));
+        for (let x = 0; x < width; x++) {
+            const sourceX = Math.min(image.width - 1, Math.floor((x + 0.5) * image.width / width));
+            image.pixels.copy(pixels, (y * width + x) * 3, (sourceY * image.width + sourceX) * 3, (sourceY * image.width + sourceX) * 3 + 3);
+        }
+    }
+    return pixels;
+}
+
+// First frame of an image file as raw RGB at width x height. PNG and GIF
+// are decoded here; JPEG and WebP need ffmpeg.
+function decodeToRgb(filePath, width, height) {
+    const data = fs.readFileSync(filePath);
+    const image = sniffImage(data);
+    if (image && image.format === 'png') return Promise.resolve(scaleRgb(decodePng(data), width, height));
+    if (image && image.format === 'gif') return Promise.resolve(scaleRgb(decodeGif(data), width, height));
+    return decodeWithFfmpeg(filePath, width, height);
+}
+
+// Decoded and scaled by ffmpeg
+function decodeWithFfmpeg(filePath, width, height) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn('ffmpeg', [
+            '-loglevel', 'error',
+            '-i', filePath,
+            '-frames:v', '1',
+            '-vf', `scale=${width}:${height}`,
+            '-f', 'rawvideo', '-pix_fmt', 'rgb24',
+            'pipe:1'
+        ], { stdio: ['ignore', 'pipe', 'pipe'] });
+        const chunks = [];
+        let stderr = '';
+
+        ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+        ffmpeg.stderr.on('data', chunk => {
+            stderr = (stderr + chunk).slice(-4000);
+        });
+        ffmpeg.on('error', error => {
+            reject(error.code === 'ENOENT' ? new Error('ffmpeg was not found on PATH') : error);
+        });
+        ffmpeg.on('close', code => {
+            const pixels = Buffer.concat(chunks);
+            if (code === 0 && pixels.length === width * height * 3) return resolve(pixels);
+            reject(new Error(`ffmpeg could not decode ${filePath}: ${stderr.trim() || `exit code ${code}`}`));
+        });
+    });
+}
+
+module.exports = {
+    IMAGE_FORMATS,
+    decodeImagePayload,
+    sniffImage,
+    parseImageResponse,
+    decodePng,
+    decodeGif,
+    decodeToRgb
+};
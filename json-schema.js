@@ -0,0 +1,121 @@
+// Validator for the subset of JSON Schema (draft-07) used by the schemas
+// in schemas/: type, enum, const, properties, required,
+// additionalProperties, items (single schema or tuple), minItems, maxItems,
+// minimum, maximum, minLength, pattern and local $refs into "definitions".
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Only local $refs are supported (got ${ref})`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => node && node[key], root);
+}
+
+function validateNode(root, schema, value, at, errors) {
+    if (schema.$ref) {
+        const target = resolveRef(root, schema.$ref);
+        if (!target) {
+            errors.push(`${at}: unresolved $ref ${schema.$ref}`);
+            return;
+        }
+        validateNode(root, target, value, at, errors);
+        return;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+            return;
+        }
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+        errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${at}: must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${at}: must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${at}: must be at least ${schema.minLength} characters`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${at}: must match ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${at}: must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${at}: must have at most ${schema.maxItems} items`);
+        }
+        if (Array.isArray(schema.items)) {
+            schema.items.forEach((itemSchema, i) => {
+                if (i < value.length) validateNode(root, itemSchema, value[i], `${at}[${i}]`, errors);
+            });
+        } else if (schema.items) {
+            value.forEach((item, i) => validateNode(root, schema.items, item, `${at}[${i}]`, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${at}: missing required property "${key}"`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            if (schema.properties && schema.properties[key]) {
+                validateNode(root, schema.properties[key], item, `${at}.${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}: unexpected property "${key}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateNode(root, schema.additionalProperties, item, `${at}.${key}`, errors);
+            }
+        }
+    }
+}
+
+// Returns a list of error messages, empty when the value is valid
+function validate(schema, value) {
+    const errors = [];
+    validateNode(schema, schema, value, '$', errors);
+    return errors;
+}
+
+function assertValid(schema, value, label = 'value') {
+    const errors = validate(schema, value);
+    if (errors.length > 0) {
+        const shown = errors.slice(0, 10).join('\n  ');
+        const more = errors.length > 10 ? `\n  ...and ${errors.length - 10} more` : '';
+        throw new Error(`Invalid ${label}:\n  ${shown}${more}`);
+    }
+    return value;
+}
+
+module.exports = {
+    validate,
+    assertValid
+};
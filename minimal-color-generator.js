@@ -1,96 +1,107 @@
 const fs = require('fs');
-const {
-  GoogleGenerativeAI,
-  HarmCategory,
-  HarmBlockThreshold,
-} = require("@google/generative-ai");
+const path = require('path');
+const { DEFAULT_MODEL, createModelProvider } = require('./model-provider');
+const { parseColors } = require('./color-parser');
+const { renderDefaultTemplate, templateStamp } = require('./prompt-templates');
+const { startStep } = require('./provenance');
 
-const apiKey = process.env.GEMINI_API_KEY;
-const genAI = new GoogleGenerativeAI(apiKey);
+const DEFAULT_TEMPLATE = 'order-to-chaos';
+const defaultTemplate = renderDefaultTemplate(DEFAULT_TEMPLATE);
 
-const model = genAI.getGenerativeModel({
-  model: "gemini-2.0-flash-exp",
-  systemInstruction: "Respond with raw data that can be interpreted as colors."
-});
-
-// Simplified color extraction
-function extractColors(input) {
-    const bytes = Array.from(input).map(char => char.charCodeAt(0));
-    const colors = [];
-    
-    // Convert bytes directly to RGB triplets
-    for(let i = 0; i < bytes.length; i += 3) {
-        colors.push({
-            r: bytes[i] ?? 0,
-            g: bytes[i + 1] ?? 0,
-            b: bytes[i + 2] ?? 0
-        });
+const request = {
+    model: DEFAULT_MODEL,
+    systemInstruction: defaultTemplate.systemInstruction,
+    generationConfig: {
+        temperature: 1,
+        topP: 0.95,
+        topK: 40,
+        maxOutputTokens: 8192
     }
-    
-    return colors;
-}
+};
+
+// Default prompt
+const DEFAULT_PROMPT = defaultTemplate.prompt;
+
+// userPrompt is either prompt text or a template rendered by
+// prompt-templates.js, whose system instruction is then used and whose
+// name, version and variables are stamped into the .meta.json and stats
+async function run(userPrompt, options = {}) {
+    const template = typeof userPrompt === 'string' ? null : userPrompt;
+    const outputDir = options.outputDir || '.';
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
 
-async function run(userPrompt) {
     try {
-        const chatSession = model.startChat({
-            generationConfig: {
-                temperature: 1,
-                topP: 0.95,
-                topK: 40,
-                maxOutputTokens: 8192
-            },
-            safetySettings: [
-                {
-                    category: HarmCategory.HARM_CATEGORY_HARASSMENT,
-                    threshold: HarmBlockThreshold.BLOCK_NONE,
-                },
-                {
-                    category: HarmCategory.HARM_CATEGORY_HATE_SPEECH,
-                    threshold: HarmBlockThreshold.BLOCK_NONE,
-                },
-                {
-                    category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT,
-                    threshold: HarmBlockThreshold.BLOCK_NONE,
-                },
-                {
-                    category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT,
-                    threshold: HarmBlockThreshold.BLOCK_NONE,
-                }
-            ]
+        const provider = options.provider || createModelProvider();
+        const modelRequest = {
+            ...request,
+            model: options.model || request.model,
+            systemInstruction: (template && template.systemInstruction) || request.systemInstruction,
+            prompt: template ? template.prompt : userPrompt
+        };
+        const step = startStep('generate', {
+            provider: provider.name,
+            model: modelRequest.model,
+            generationConfig: modelRequest.generationConfig,
+            prompt: modelRequest.prompt,
+            systemInstruction: modelRequest.systemInstruction,
+            template: template ? templateStamp(template) : null
+        });
+        const response = await provider.generate(modelRequest);
+
+        // Extract colors, noting which format the response was decoded as
+        const { strategy, colors } = parseColors(response, {
+            decoding: options.decoding,
+            mapping: options.mapping
         });
 
-        const result = await chatSession.sendMessage(userPrompt);
-        const response = result.response.text();
-        
-        // Extract colors
-        const colors = extractColors(response);
-        
         // Save raw response
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        fs.writeFileSync(`raw-response-${timestamp}.txt`, response);
-        
+        fs.mkdirSync(outputDir, { recursive: true });
+        const rawFile = path.join(outputDir, `raw-response-${timestamp}.txt`);
+        fs.writeFileSync(rawFile, response);
+
         // Save colors in a simple format
+        const colorFile = path.join(outputDir, `colors-${timestamp}.csv`);
         const colorData = colors.map(c => `${c.r},${c.g},${c.b}`).join('\n');
-        fs.writeFileSync(`colors-${timestamp}.csv`, colorData);
-        
+        fs.writeFileSync(colorFile, colorData);
+        const metaFile = path.join(outputDir, `colors-${timestamp}.meta.json`);
+        fs.writeFileSync(metaFile, JSON.stringify({
+            strategy,
+            colorCount: colors.length,
+            rawFile: path.basename(rawFile),
+            template: template ? templateStamp(template) : null
+        }, null, 2));
+        const manifest = step.finish({ outputs: [rawFile, colorFile, metaFile] });
+
         // Log some stats
-        console.log({
+        const stats = {
             responseLength: response.length,
             colorCount: colors.length,
-            rawFile: `raw-response-${timestamp}.txt`,
-            colorFile: `colors-${timestamp}.csv`
-        });
-        
+            strategy,
+            rawFile,
+            colorFile,
+            manifest,
+            template: template ? templateStamp(template) : null
+        };
+        console.log(stats);
+        return stats;
+
     } catch (error) {
         console.error("Error:", error);
         // Save error text too
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        fs.writeFileSync(`error-${timestamp}.txt`, error.toString());
+        fs.mkdirSync(outputDir, { recursive: true });
+        fs.writeFileSync(path.join(outputDir, `error-${timestamp}.txt`), error.toString());
+        throw error;
     }
 }
 
-// Test prompt
-const prompt = `Create a sequence of colors that represents a transformation from order to chaos. 
-Start with cool, structured colors and progress to warmer, more chaotic patterns.`;
+module.exports = {
+    DEFAULT_TEMPLATE,
+    DEFAULT_PROMPT,
+    run
+};
 
-run(prompt);
\ No newline at end of file
+if (require.main === module) {
+    run(defaultTemplate).catch(() => {
+        process.exitCode = 1;
+    });
+}
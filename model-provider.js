@@ -0,0 +1,165 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { CassetteProvider } = require('./cassette-provider');
+
+const DEFAULT_MODEL = 'gemini-2.0-flash-exp';
+
+const DEFAULT_GENERATION_CONFIG = {
+    temperature: 1,
+    topP: 0.95,
+    topK: 40,
+    maxOutputTokens: 8192,
+    responseMimeType: 'text/plain',
+};
+
+// Gemini backend. The SDK is only loaded when this provider is used,
+// so the mock provider works without @google/generative-ai installed.
+class GeminiProvider {
+    constructor(options = {}) {
+        const {
+            GoogleGenerativeAI,
+            HarmCategory,
+            HarmBlockThreshold,
+        } = require('@google/generative-ai');
+
+        this.name = 'gemini';
+        this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+        if (!this.apiKey) {
+            throw new Error('GEMINI_API_KEY is not set (use MODEL_PROVIDER=mock to run offline)');
+        }
+        this.genAI = new GoogleGenerativeAI(this.apiKey);
+        this.safetySettings = options.safetySettings || [
+            HarmCategory.HARM_CATEGORY_HARASSMENT,
+            HarmCategory.HARM_CATEGORY_HATE_SPEECH,
+            HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT,
+            HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT,
+        ].map(category => ({ category, threshold: HarmBlockThreshold.BLOCK_NONE }));
+    }
+
+    async generate(request) {
+        const model = this.genAI.getGenerativeModel({
+            model: request.model || DEFAULT_MODEL,
+            systemInstruction: request.systemInstruction,
+        });
+
+        const chatSession = model.startChat({
+            generationConfig: request.generationConfig || DEFAULT_GENERATION_CONFIG,
+            safetySettings: request.safetySettings || this.safetySettings,
+            history: request.history || [],
+        });
+
+        const result = await chatSession.sendMessage(request.prompt);
+        return result.response.text();
+    }
+}
+
+// Small seeded PRNG so mock responses are reproducible
+function mulberry32(seed) {
+    return function() {
+        seed |= 0;
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Offline backend. Returns canned responses when given (cycled in call
+// order), otherwise generates a response seeded from the request so the
+// same prompt always yields the same text.
+class MockProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.seed = String(options.seed ?? process.env.MOCK_SEED ?? 0);
+        this.responses = options.responses || null;
+        this.calls = 0;
+
+        const responseFile = options.responseFile || process.env.MOCK_RESPONSE_FILE;
+        if (!this.responses && responseFile) {
+            this.responses = [fs.readFileSync(responseFile, 'utf8')];
+        }
+    }
+
+    async generate(request) {
+        const call = this.calls++;
+
+        if (this.responses) {
+            const canned = Array.isArray(this.responses) ? this.responses : [this.responses];
+            return canned[call % canned.length];
+        }
+
+        const hash = crypto.createHash('sha256')
+            .update(`${this.seed}\n${request.systemInstruction || ''}\n${request.prompt}`)
+            .digest();
+        const random = mulberry32(hash.readUInt32LE(0));
+
+        if (/base64/i.test(request.systemInstruction || '')) {
+            const bytes = Buffer.alloc(48 + Math.floor(random() * 48));
+            for (let i = 0; i < bytes.length; i++) {
+                bytes[i] = Math.floor(random() * 256);
+            }
+            return bytes.toString('base64');
+        }
+
+        return mockColorResponse(random);
+    }
+}
+
+// Cool, orderly blues drifting into noisy warm colors, formatted the way
+// the real model answers (a fenced JSON array of {r,g,b} objects)
+function mockColorResponse(random) {
+    const count = 16 + Math.floor(random() * 9);
+    const lines = [];
+
+    for (let i = 0; i < count; i++) {
+        const t = i / (count - 1);
+        const jitter = t * 120;
+        const channel = (base) => Math.max(0, Math.min(255,
+            Math.round(base + (random() - 0.5) * jitter)));
+
+        const r = channel(255 * t);
+        const g = channel(100 + 155 * Math.sin(Math.PI * t));
+        const b = channel(255 * (1 - t));
+        lines.push(`  {"r": ${r}, "g": ${g}, "b": ${b}}`);
+    }
+
+    return '```json\n[\n' + lines.join(',\n') + '\n]\n```\n';
+}
+
+const providers = {
+    gemini: options => new GeminiProvider(options),
+    mock: options => new MockProvider(options),
+};
+
+function registerProvider(name, factory) {
+    providers[name] = factory;
+}
+
+// Pick a provider by name, defaulting to MODEL_PROVIDER and then Gemini.
+// Setting a cassette mode (or CASSETTE_MODE) wraps it for record/replay.
+function createModelProvider(options = {}) {
+    const name = options.provider || process.env.MODEL_PROVIDER || 'gemini';
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown model provider "${name}" (available: ${Object.keys(providers).join(', ')})`);
+    }
+
+    const cassetteMode = options.cassette || process.env.CASSETTE_MODE;
+    if (cassetteMode && cassetteMode !== 'off') {
+        return new CassetteProvider(() => factory(options), {
+            mode: cassetteMode,
+            dir: options.cassetteDir || process.env.CASSETTE_DIR
+        });
+    }
+
+    return factory(options);
+}
+
+module.exports = {
+    DEFAULT_MODEL,
+    DEFAULT_GENERATION_CONFIG,
+    GeminiProvider,
+    MockProvider,
+    registerProvider,
+    createModelProvider,
+};
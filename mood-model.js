@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { assertValid } = require('./json-schema');
+
+// Rule-based mood labelling. Rules live in a JSON file (mood-rules.json by
+// default) so they can be tuned without touching the code.
+
+const DEFAULT_RULES_FILE = path.join(__dirname, 'mood-rules.json');
+const RULES_SCHEMA = require('./schemas/mood-rules.schema.json');
+
+// Range of each metric, used to turn threshold margins into confidence
+const METRIC_RANGES = {
+    warmth: [-1, 1],
+    saturation: [0, 1],
+    brightness: [0, 1]
+};
+
+function loadMoodRules(filePath = DEFAULT_RULES_FILE) {
+    const rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return assertValid(RULES_SCHEMA, rules, `mood rules in ${filePath}`);
+}
+
+// Average warmth (red vs blue), saturation and brightness of a run of colors
+function moodMetrics(colors) {
+    let totalWarmth = 0;
+    let totalSaturation = 0;
+    let totalBrightness = 0;
+
+    colors.forEach(color => {
+        // Calculate warmth (red vs blue ratio)
+        totalWarmth += (color.r - color.b) / 255;
+
+        // Calculate saturation
+        const max = Math.max(color.r, color.g, color.b);
+        const min = Math.min(color.r, color.g, color.b);
+        totalSaturation += (max - min) / 255;
+
+        // Calculate brightness
+        totalBrightness += (color.r + color.g + color.b) / (3 * 255);
+    });
+
+    return {
+        warmth: totalWarmth / colors.length,
+        saturation: totalSaturation / colors.length,
+        brightness: totalBrightness / colors.length
+    };
+}
+
+// 0 when the value sits exactly on the threshold, 1 at the far end of the
+// metric's range; null when the condition fails
+function conditionMargin(metric, value, condition) {
+    const [min, max] = METRIC_RANGES[metric];
+    const margins = [];
+
+    if (condition.above !== undefined) {
+        if (!(value > condition.above)) return null;
+        margins.push(max > condition.above ? (value - condition.above) / (max - condition.above) : 1);
+    }
+    if (condition.below !== undefined) {
+        if (!(value < condition.below)) return null;
+        margins.push(condition.below > min ? (condition.below - value) / (condition.below - min) : 1);
+    }
+    return margins.length > 0 ? Math.min(...margins) : 1;
+}
+
+// Labels whose conditions all hold, in rule order, each with a confidence
+// from 0.5 (just past the threshold) to 1 (at the extreme)
+function labelMood(metrics, rules) {
+    const labels = [];
+
+    for (const rule of rules.rules) {
+        let margin = 1;
+        for (const [metric, condition] of Object.entries(rule.when)) {
+            const m = conditionMargin(metric, metrics[metric], condition);
+            if (m === null) {
+                margin = null;
+                break;
+            }
+            margin = Math.min(margin, m);
+        }
+        if (margin !== null) {
+            labels.push({ label: rule.label, confidence: 0.5 + 0.5 * Math.min(1, margin) });
+        }
+    }
+
+    return labels;
+}
+
+function describeMood(colors, rules) {
+    const metrics = moodMetrics(colors);
+    const labels = labelMood(metrics, rules);
+    return {
+        ...metrics,
+        labels,
+        description: labels.map(l => l.label).join(", ") || rules.neutralLabel || "neutral"
+    };
+}
+
+// Mood of each sliding window over the sequence. Windows are `windowSize`
+// colors wide and start every `step` colors; the last one is pinned to the
+// end of the sequence so every color is covered.
+function moodTimeline(colors, rules, options = {}) {
+    if (colors.length === 0) return [];
+
+    const windowSize = Math.min(colors.length,
+        Math.round(options.windowSize) || Math.max(3, Math.round(colors.length / 5)));
+    const step = Math.round(options.step) || Math.max(1, Math.ceil(windowSize / 2));
+    const starts = [];
+
+    for (let start = 0; start + windowSize < colors.length; start += step) {
+        starts.push(start);
+    }
+    starts.push(colors.length - windowSize);
+
+    return starts.map(start => ({
+        start,
+        end: start + windowSize,
+        ...describeMood(colors.slice(start, start + windowSize), rules)
+    }));
+}
+
+module.exports = {
+    DEFAULT_RULES_FILE,
+    loadMoodRules,
+    moodMetrics,
+    labelMood,
+    describeMood,
+    moodTimeline
+};
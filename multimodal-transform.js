@@ -1,8 +1,27 @@
 const fs = require('fs');
+const path = require('path');
+const { readColorFile } = require('./color-parser');
+const { assertValid } = require('./json-schema');
+const { findTransitions, clusterColors, findHarmonies } = require('./palette-analysis');
+const { DEFAULT_RULES_FILE, loadMoodRules, describeMood, moodTimeline } = require('./mood-model');
+const { startStep, stepOptions } = require('./provenance');
+
+// Bump together with the "version" const in the schema whenever the
+// shape of multimodal-prompt.json changes
+const PROMPT_VERSION = 3;
+const PROMPT_SCHEMA = require('./schemas/multimodal-prompt.schema.json');
+
+// options: noteDuration (seconds per color, default 0.5) plus the
+// analysis options taken by analyzeColorSequence()
+function prepareMultimodalPrompt(colors, options = {}) {
+    const noteDuration = options.noteDuration || 0.5;
+    // The mood metrics are averages over the colors
+    if (colors.length === 0) {
+        throw new Error("No color data found.");
+    }
 
-function prepareMultimodalPrompt(colors) {
     // Extract key characteristics for audio/visual generation
-    const colorAnalysis = analyzeColorSequence(colors);
+    const colorAnalysis = analyzeColorSequence(colors, options);
     
     return {
         visual: {
@@ -13,10 +32,18 @@ function prepareMultimodalPrompt(colors) {
             colorSequence: colors,
             keyTransitions: colorAnalysis.transitions,
             dominantColors: colorAnalysis.dominantColors,
-            mood: colorAnalysis.mood
+            harmonies: colorAnalysis.harmonies,
+            mood: colorAnalysis.mood,
+            moodTimeline: colorAnalysis.moodTimeline.map(({ start, end, ...segmentMood }) => ({
+                start,
+                end,
+                startTime: start * noteDuration,
+                endTime: end * noteDuration,
+                ...segmentMood
+            }))
         },
         audio: {
-            duration: colors.length * 0.5, // Half second per color
+            duration: colors.length * noteDuration, // Half second per color by default
             structure: {
                 frequencies: colorToFrequency(colors),
                 amplitudes: colorToAmplitude(colors),
@@ -26,88 +53,37 @@ function prepareMultimodalPrompt(colors) {
     };
 }
 
-function analyzeColorSequence(colors) {
-    const transitions = [];
-    const dominantColors = new Map();
-    let prevColor = null;
-    
-    colors.forEach((color, i) => {
-        // Track major transitions (significant changes in RGB values)
-        if (prevColor) {
-            const delta = {
-                r: color.r - prevColor.r,
-                g: color.g - prevColor.g,
-                b: color.b - prevColor.b
-            };
-            
-            if (Math.abs(delta.r) > 50 || Math.abs(delta.g) > 50 || Math.abs(delta.b) > 50) {
-                transitions.push({
-                    index: i,
-                    from: prevColor,
-                    to: color,
-                    magnitude: Math.sqrt(delta.r**2 + delta.g**2 + delta.b**2)
-                });
-            }
-        }
-        
-        // Track color frequencies
-        const key = `${color.r},${color.g},${color.b}`;
-        dominantColors.set(key, (dominantColors.get(key) || 0) + 1);
-        
-        prevColor = color;
-    });
-    
-    // Determine overall mood based on color characteristics
-    const mood = determineMood(colors);
-    
-    return {
-        transitions: transitions,
-        dominantColors: Array.from(dominantColors.entries())
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, 5),
-        mood: mood
-    };
-}
+// options: transitionThreshold (CIEDE2000 difference that counts as a
+// major transition, default 20), clusters (number of dominant colors,
+// default 5), moodRules (rules object or path to a rules file, default
+// mood-rules.json) and moodWindow (colors per mood timeline window)
+function analyzeColorSequence(colors, options = {}) {
+    const { transitionThreshold = 20, clusters = 5, moodWindow } = options;
+    const rules = typeof options.moodRules === 'object' ? options.moodRules : loadMoodRules(options.moodRules);
+
+    // Track major transitions (perceptual difference between neighbours)
+    const transitions = findTransitions(colors, transitionThreshold);
+
+    // Group near-identical shades into weighted dominant colors
+    const dominantColors = clusterColors(colors, clusters);
+
+    // Determine overall mood based on color characteristics, then how it
+    // shifts across the sequence
+    const mood = determineMood(colors, rules);
+    const timeline = moodTimeline(colors, rules, { windowSize: moodWindow });
 
-function determineMood(colors) {
-    let totalWarmth = 0;
-    let totalSaturation = 0;
-    let totalBrightness = 0;
-    
-    colors.forEach(color => {
-        // Calculate warmth (red vs blue ratio)
-        totalWarmth += (color.r - color.b) / 255;
-        
-        // Calculate saturation
-        const max = Math.max(color.r, color.g, color.b);
-        const min = Math.min(color.r, color.g, color.b);
-        totalSaturation += (max - min) / 255;
-        
-        // Calculate brightness
-        totalBrightness += (color.r + color.g + color.b) / (3 * 255);
-    });
-    
-    const avgWarmth = totalWarmth / colors.length;
-    const avgSaturation = totalSaturation / colors.length;
-    const avgBrightness = totalBrightness / colors.length;
-    
     return {
-        warmth: avgWarmth,
-        saturation: avgSaturation,
-        brightness: avgBrightness,
-        description: characterizeMood(avgWarmth, avgSaturation, avgBrightness)
+        transitions: transitions,
+        dominantColors: dominantColors,
+        harmonies: findHarmonies(dominantColors),
+        mood: mood,
+        moodTimeline: timeline
     };
 }
 
-function characterizeMood(warmth, saturation, brightness) {
-    let moods = [];
-    if (warmth > 0.3) moods.push("energetic");
-    if (warmth < -0.3) moods.push("calm");
-    if (saturation > 0.6) moods.push("intense");
-    if (saturation < 0.3) moods.push("subtle");
-    if (brightness > 0.7) moods.push("bright");
-    if (brightness < 0.3) moods.push("dark");
-    return moods.join(", ") || "neutral";
+// rules: parsed mood rules, defaults to mood-rules.json
+function determineMood(colors, rules = loadMoodRules()) {
+    return describeMood(colors, rules);
 }
 
 function colorToFrequency(colors) {
@@ -138,21 +114,86 @@ function colorToTimbre(colors) {
     }));
 }
 
-// Load and process the color data
-const rawData = fs.readFileSync('raw-response-2024-12-13T22-34-25-300Z.txt', 'utf8');
-const colors = JSON.parse(rawData);
+// Read a multimodal-prompt.json, checking its version and shape
+function readMultimodalPrompt(filePath) {
+    const prompt = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (prompt.version !== PROMPT_VERSION) {
+        throw new Error(`${filePath} is multimodal prompt version ${prompt.version}, expected ${PROMPT_VERSION}`);
+    }
+    return assertValid(PROMPT_SCHEMA, prompt, `multimodal prompt in ${filePath}`);
+}
 
-// Generate the multimodal prompt
-const prompt = prepareMultimodalPrompt(colors);
+// Validated as readMultimodalPrompt() will see it: JSON writes NaN and
+// Infinity as null
+function writeMultimodalPrompt(filePath, prompt) {
+    const json = JSON.stringify(prompt, null, 2);
+    assertValid(PROMPT_SCHEMA, JSON.parse(json), 'multimodal prompt');
+    fs.writeFileSync(filePath, json);
+}
 
-// Save the prompt for the next model
-fs.writeFileSync('multimodal-prompt.json', 
-    JSON.stringify(prompt, null, 2)
-);
+// Input can be a raw model response, combine-data.js output or a colors CSV.
+// options are passed on to prepareMultimodalPrompt() and, for decoding and
+// mapping raw responses, readColorFile().
+function transformFile(inputFilePath, outputFilePath = 'multimodal-prompt.json', options = {}) {
+    const step = startStep('transform', { options: stepOptions(options) });
+
+    // Load and process the color data
+    const { format, strategy, colors } = readColorFile(inputFilePath, options);
+
+    // Generate the multimodal prompt
+    const prompt = {
+        version: PROMPT_VERSION,
+        source: {
+            file: path.basename(inputFilePath),
+            format,
+            strategy,
+            colorCount: colors.length
+        },
+        ...prepareMultimodalPrompt(colors, options)
+    };
 
-console.log("Generated multimodal prompt with:");
-console.log(`- ${colors.length} colors`);
-console.log(`- ${prompt.visual.keyTransitions.length} major transitions`);
-console.log(`- Mood: ${prompt.audio.structure.frequencies.length} frequency points`);
-console.log(`- Duration: ${prompt.audio.duration} seconds`);
-console.log("Full prompt saved to multimodal-prompt.json");
\ No newline at end of file
+    // Save the prompt for the next model
+    writeMultimodalPrompt(outputFilePath, prompt);
+    // A rules file shapes the output as much as the colors do
+    const rulesFiles = typeof options.moodRules === 'object' ? [] : [options.moodRules || DEFAULT_RULES_FILE];
+    step.finish({ inputs: [inputFilePath, ...rulesFiles], outputs: [outputFilePath] });
+
+    console.log("Generated multimodal prompt with:");
+    console.log(`- ${colors.length} colors (${format}, ${strategy})`);
+    console.log(`- ${prompt.visual.keyTransitions.length} major transitions`);
+    console.log(`- Mood: ${prompt.audio.structure.frequencies.length} frequency points`);
+    console.log(`- Duration: ${prompt.audio.duration} seconds`);
+    console.log(`Full prompt saved to ${outputFilePath}`);
+
+    return prompt;
+}
+
+module.exports = {
+    prepareMultimodalPrompt,
+    analyzeColorSequence,
+    determineMood,
+    colorToFrequency,
+    colorToAmplitude,
+    colorToTimbre,
+    PROMPT_VERSION,
+    readMultimodalPrompt,
+    writeMultimodalPrompt,
+    transformFile
+};
+
+if (require.main === module) {
+    const inputFile = process.argv[2];
+    const outputFile = process.argv[3] || 'multimodal-prompt.json';
+
+    if (!inputFile) {
+        console.error("Usage: node multimodal-transform.js <raw-response.txt|combined.json|colors.csv> [output-file]");
+        process.exit(1);
+    }
+
+    try {
+        transformFile(inputFile, outputFile);
+    } catch (error) {
+        console.error("Error:", error);
+        process.exitCode = 1;
+    }
+}
@@ -0,0 +1,156 @@
+const { rgbToLab, labToRgb, rgbToHex, deltaE2000 } = require('./color-space');
+
+// Perceptual palette analysis: Delta-E transitions, dominant colors by
+// weighted k-means in Lab space, and hue harmonies between them.
+
+function labDistanceSquared(a, b) {
+    return (a.L - b.L) ** 2 + (a.a - b.a) ** 2 + (a.b - b.b) ** 2;
+}
+
+// Consecutive colors whose CIEDE2000 difference exceeds the threshold
+function findTransitions(colors, threshold = 20) {
+    const transitions = [];
+    const labs = colors.map(rgbToLab);
+
+    for (let i = 1; i < colors.length; i++) {
+        const magnitude = deltaE2000(labs[i - 1], labs[i]);
+        if (magnitude > threshold) {
+            transitions.push({ index: i, from: colors[i - 1], to: colors[i], magnitude });
+        }
+    }
+    return transitions;
+}
+
+// Weighted k-means in Lab. Identical colors are merged first and weighted
+// by how often they occur; centers start from farthest-point seeding so
+// the result is deterministic. Returns clusters sorted by weight, each
+// with its center color, hex code, weight (share of the sequence) and count.
+function clusterColors(colors, k = 5, maxIterations = 20) {
+    const unique = new Map();
+    for (const color of colors) {
+        const key = `${color.r},${color.g},${color.b}`;
+        const entry = unique.get(key) || { color, lab: rgbToLab(color), count: 0 };
+        entry.count++;
+        unique.set(key, entry);
+    }
+
+    const points = [...unique.values()];
+    if (points.length === 0) return [];
+    k = Math.min(k, points.length);
+
+    // Seed with the most frequent color, then repeatedly the point farthest
+    // from every chosen center
+    const seeds = [points.reduce((best, p) => p.count > best.count ? p : best)];
+    while (seeds.length < k) {
+        let farthest = null;
+        let farthestDistance = -1;
+        for (const p of points) {
+            const distance = Math.min(...seeds.map(s => labDistanceSquared(p.lab, s.lab)));
+            if (distance > farthestDistance) {
+                farthestDistance = distance;
+                farthest = p;
+            }
+        }
+        seeds.push(farthest);
+    }
+
+    let centers = seeds.map(s => ({ ...s.lab }));
+    let assignment = new Array(points.length).fill(-1);
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        let changed = false;
+        points.forEach((p, i) => {
+            let best = 0;
+            for (let c = 1; c < centers.length; c++) {
+                if (labDistanceSquared(p.lab, centers[c]) < labDistanceSquared(p.lab, centers[best])) best = c;
+            }
+            if (assignment[i] !== best) {
+                assignment[i] = best;
+                changed = true;
+            }
+        });
+        if (!changed) break;
+
+        centers = centers.map((center, c) => {
+            let weight = 0;
+            const sum = { L: 0, a: 0, b: 0 };
+            points.forEach((p, i) => {
+                if (assignment[i] !== c) return;
+                weight += p.count;
+                sum.L += p.lab.L * p.count;
+                sum.a += p.lab.a * p.count;
+                sum.b += p.lab.b * p.count;
+            });
+            return weight > 0 ? { L: sum.L / weight, a: sum.a / weight, b: sum.b / weight } : center;
+        });
+    }
+
+    const total = colors.length;
+    return centers
+        .map((lab, c) => {
+            const count = points.reduce((sum, p, i) => sum + (assignment[i] === c ? p.count : 0), 0);
+            const color = labToRgb(lab);
+            return { color, hex: rgbToHex(color), weight: count / total, count };
+        })
+        .filter(cluster => cluster.count > 0)
+        .sort((a, b) => b.weight - a.weight);
+}
+
+// Hue angle in degrees and chroma from Lab
+function labHue(lab) {
+    return {
+        hue: (Math.atan2(lab.b, lab.a) * 180 / Math.PI + 360) % 360,
+        chroma: Math.hypot(lab.a, lab.b)
+    };
+}
+
+function hueDifference(a, b) {
+    const d = Math.abs(a - b) % 360;
+    return d > 180 ? 360 - d : d;
+}
+
+// Harmony relationships between palette colors, judged on Lab hue.
+// spread is the hue angle between the colors (the smallest one for triads).
+// Near-grey colors (chroma below minChroma) have no meaningful hue and
+// are left out.
+function findHarmonies(palette, options = {}) {
+    const { minChroma = 15, tolerance = 20, analogousSpread = 35 } = options;
+    const hued = palette
+        .map(entry => ({ hex: entry.hex, ...labHue(rgbToLab(entry.color)) }))
+        .filter(entry => entry.chroma >= minChroma);
+    const harmonies = [];
+
+    for (let i = 0; i < hued.length; i++) {
+        for (let j = i + 1; j < hued.length; j++) {
+            const d = hueDifference(hued[i].hue, hued[j].hue);
+            if (Math.abs(d - 180) <= tolerance) {
+                harmonies.push({ type: 'complementary', colors: [hued[i].hex, hued[j].hex], spread: d });
+            } else if (d <= analogousSpread) {
+                harmonies.push({ type: 'analogous', colors: [hued[i].hex, hued[j].hex], spread: d });
+            }
+
+            for (let k = j + 1; k < hued.length; k++) {
+                const spreads = [
+                    d,
+                    hueDifference(hued[j].hue, hued[k].hue),
+                    hueDifference(hued[i].hue, hued[k].hue)
+                ];
+                if (spreads.every(s => Math.abs(s - 120) <= tolerance)) {
+                    harmonies.push({
+                        type: 'triadic',
+                        colors: [hued[i].hex, hued[j].hex, hued[k].hex],
+                        spread: Math.min(...spreads)
+                    });
+                }
+            }
+        }
+    }
+
+    return harmonies;
+}
+
+module.exports = {
+    findTransitions,
+    clusterColors,
+    findHarmonies
+};
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const { readColorFile } = require('./color-parser');
+const { rgbToHex } = require('./color-space');
+const { clusterColors } = require('./palette-analysis');
+const { startStep, stepOptions } = require('./provenance');
+
+// Palette export for design tools: Adobe Swatch Exchange, GIMP/Inkscape
+// palettes, CSS custom properties, a Tailwind theme snippet and an SVG
+// swatch sheet.
+
+// Palette entries: the distinct colors of the sequence in order of first
+// appearance, or the clustered dominant colors (heaviest first) when
+// options.dominant is set
+function paletteEntries(colors, options = {}) {
+    if (options.dominant) {
+        return clusterColors(colors, options.clusters || 5)
+            .map(({ color, hex, weight }) => ({ color, hex, weight }));
+    }
+
+    const entries = new Map();
+    for (const color of colors) {
+        const hex = rgbToHex(color);
+        if (!entries.has(hex)) entries.set(hex, { color, hex });
+    }
+    return [...entries.values()];
+}
+
+// "Order to Chaos" -> "order-to-chaos"
+function slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'palette';
+}
+
+// Adobe Swatch Exchange 1.0: one group named after the palette holding an
+// RGB "normal" color block per entry. Big-endian throughout; names are
+// UTF-16 with a terminating null, their length counted in code units.
+function aseName(name) {
+    const units = Buffer.alloc((name.length + 1) * 2);
+    for (let i = 0; i < name.length; i++) {
+        units.writeUInt16BE(name.charCodeAt(i), i * 2);
+    }
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(name.length + 1);
+    return Buffer.concat([length, units]);
+}
+
+function aseBlock(type, body) {
+    const header = Buffer.alloc(6);
+    header.writeUInt16BE(type, 0);
+    header.writeUInt32BE(body.length, 2);
+    return Buffer.concat([header, body]);
+}
+
+function toAse(entries, name) {
+    const blocks = [aseBlock(0xc001, aseName(name))];
+
+    entries.forEach((entry, i) => {
+        const values = Buffer.alloc(4 + 12 + 2);
+        values.write('RGB ', 0, 'ascii');
+        values.writeFloatBE(entry.color.r / 255, 4);
+        values.writeFloatBE(entry.color.g / 255, 8);
+        values.writeFloatBE(entry.color.b / 255, 12);
+        values.writeUInt16BE(2, 16); // normal (not global or spot)
+        blocks.push(aseBlock(0x0001, Buffer.concat([aseName(`${name} ${i + 1}`), values])));
+    });
+    blocks.push(aseBlock(0xc002, Buffer.alloc(0)));
+
+    const header = Buffer.alloc(12);
+    header.write('ASEF', 0, 'ascii');
+    header.writeUInt16BE(1, 4);
+    header.writeUInt16BE(0, 6);
+    header.writeUInt32BE(blocks.length, 8);
+    return Buffer.concat([header, ...blocks]);
+}
+
+function toGpl(entries, name) {
+    const lines = ['GIMP Palette', `Name: ${name}`, `Columns: ${Math.min(entries.length, 8)}`, '#'];
+    entries.forEach((entry, i) => {
+        const { r, g, b } = entry.color;
+        const channels = [r, g, b].map(c => String(c).padStart(3)).join(' ');
+        lines.push(`${channels}\t${entry.hex} (${name} ${i + 1})`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+function toCss(entries, name) {
+    const slug = slugify(name);
+    const lines = entries.map((entry, i) => `  --${slug}-${i + 1}: ${entry.hex};`);
+    return `/* ${name} */\n:root {\n${lines.join('\n')}\n}\n`;
+}
+
+// Merge into tailwind.config.js; the colors become bg-<slug>-1, text-<slug>-2, ...
+function toTailwind(entries, name) {
+    const slug = slugify(name);
+    const lines = entries.map((entry, i) => `          ${i + 1}: '${entry.hex}',`);
+    return [
+        `// ${name}: merge into the theme in tailwind.config.js`,
+        'module.exports = {',
+        '  theme: {',
+        '    extend: {',
+        '      colors: {',
+        `        '${slug}': {`,
+        ...lines,
+        '        }',
+        '      }',
+        '    }',
+        '  }',
+        '};',
+        ''
+    ].join('\n');
+}
+
+function escapeXml(text) {
+    return text.replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]);
+}
+
+// Grid of square swatches, each labelled with its hex code (and share of
+// the sequence for dominant colors)
+function toSvg(entries, name) {
+    const size = 96;
+    const labelHeight = 36;
+    const gap = 12;
+    const columns = Math.max(1, Math.min(entries.length, 8));
+    const rows = Math.ceil(entries.length / columns);
+    const titleHeight = 32;
+    const width = gap + columns * (size + gap);
+    const height = titleHeight + gap + rows * (size + labelHeight + gap);
+
+    const swatches = entries.map((entry, i) => {
+        const x = gap + (i % columns) * (size + gap);
+        const y = titleHeight + gap + Math.floor(i / columns) * (size + labelHeight + gap);
+        const lines = [
+            `  <rect x="${x}" y="${y}" width="${size}" height="${size}" fill="${entry.hex}" stroke="#ccc"/>`,
+            `  <text x="${x + size / 2}" y="${y + size + 15}" text-anchor="middle">${entry.hex}</text>`
+        ];
+        if (entry.weight !== undefined) {
+            lines.push(`  <text x="${x + size / 2}" y="${y + size + 30}" text-anchor="middle" fill="#666">${Math.round(entry.weight * 100)}%</text>`);
+        }
+        return lines.join('\n');
+    });
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="12">`,
+        `  <rect width="100%" height="100%" fill="#fff"/>`,
+        `  <text x="${gap}" y="${titleHeight - 8}" font-size="16">${escapeXml(name)}</text>`,
+        ...swatches,
+        '</svg>',
+        ''
+    ].join('\n');
+}
+
+const EXPORT_FORMATS = {
+    ase: { extension: '.ase', encode: toAse },
+    gpl: { extension: '.gpl', encode: toGpl },
+    css: { extension: '.css', encode: toCss },
+    tailwind: { extension: '.js', encode: toTailwind },
+    svg: { extension: '.svg', encode: toSvg }
+};
+
+function formatFromExtension(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    return Object.keys(EXPORT_FORMATS).find(format => EXPORT_FORMATS[format].extension === extension);
+}
+
+// Write the palette of `inputFilePath` (combine-data.js output, a colors
+// CSV or a raw response) in one or more formats.
+// options: formats (list of EXPORT_FORMATS keys; inferred from the output
+// extension when omitted), name (palette name, default the input file
+// name), dominant and clusters (see paletteEntries()), and decoding and
+// mapping for raw responses (see readColorFile()).
+// With several formats, the output extension is replaced by each format's.
+function exportPalette(inputFilePath, outputFilePath, options = {}) {
+    const formats = options.formats || [formatFromExtension(outputFilePath)];
+    if (formats[0] === undefined) {
+        throw new Error(`Cannot tell the palette format from ${outputFilePath}; pass a format`);
+    }
+    for (const format of formats) {
+        if (!EXPORT_FORMATS[format]) {
+            throw new Error(`Unknown palette format "${format}" (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+        }
+    }
+
+    const step = startStep('export', { options: stepOptions(options) });
+    const { colors } = readColorFile(inputFilePath, options);
+    if (colors.length === 0) {
+        throw new Error(`No colors found in ${inputFilePath}`);
+    }
+    const entries = paletteEntries(colors, options);
+    const name = options.name || path.basename(inputFilePath, path.extname(inputFilePath));
+
+    const written = formats.map(format => {
+        const { extension, encode } = EXPORT_FORMATS[format];
+        const file = formats.length > 1 || path.extname(outputFilePath) === ''
+            ? outputFilePath.slice(0, outputFilePath.length - path.extname(outputFilePath).length) + extension
+            : outputFilePath;
+        fs.writeFileSync(file, encode(entries, name));
+        console.log(`Exported ${entries.length} colors as ${format} to ${file}`);
+        return file;
+    });
+
+    step.finish({ inputs: [inputFilePath], outputs: written });
+    return { entries, files: written };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    paletteEntries,
+    exportPalette
+};
+
+if (require.main === module) {
+    const inputFile = process.argv[2];
+    const outputFile = process.argv[3];
+
+    if (!inputFile || !outputFile) {
+        console.error("Usage: node palette-export.js <combined.json|colors.csv> <palette.ase|.gpl|.css|.js|.svg>");
+        process.exit(1);
+    }
+
+    try {
+        exportPalette(inputFile, outputFile);
+    } catch (error) {
+        console.error("Error:", error);
+        process.exitCode = 1;
+    }
+}
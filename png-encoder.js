@@ -0,0 +1,154 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+// PNG and animated PNG (APNG) encoding for RGB pixel buffers
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+function ihdr(width, height) {
+    const data = Buffer.alloc(13);
+    data.writeUInt32BE(width, 0);
+    data.writeUInt32BE(height, 4);
+    data[8] = 8;  // bits per channel
+    data[9] = 2;  // truecolor RGB
+    return pngChunk('IHDR', data);
+}
+
+// Filter each row with Sub or Up, whichever leaves smaller residuals,
+// then deflate
+function compressPixels(width, height, pixels) {
+    const stride = width * 3;
+    const filtered = Buffer.alloc((stride + 1) * height);
+    const sub = Buffer.alloc(stride);
+    const up = Buffer.alloc(stride);
+
+    for (let y = 0; y < height; y++) {
+        const row = y * stride;
+        let subCost = 0;
+        let upCost = 0;
+
+        for (let i = 0; i < stride; i++) {
+            const value = pixels[row + i];
+            sub[i] = value - (i >= 3 ? pixels[row + i - 3] : 0);
+            up[i] = value - (y > 0 ? pixels[row - stride + i] : 0);
+            subCost += sub[i] < 128 ? sub[i] : 256 - sub[i];
+            upCost += up[i] < 128 ? up[i] : 256 - up[i];
+        }
+
+        const out = y * (stride + 1);
+        if (y > 0 && upCost < subCost) {
+            filtered[out] = 2;
+            up.copy(filtered, out + 1);
+        } else {
+            filtered[out] = 1;
+            sub.copy(filtered, out + 1);
+        }
+    }
+
+    return zlib.deflateSync(filtered);
+}
+
+function encodePng(width, height, pixels) {
+    return Buffer.concat([
+        SIGNATURE,
+        ihdr(width, height),
+        pngChunk('IDAT', compressPixels(width, height, pixels)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// options: loop (play count, 0 = forever). Same interface as the ffmpeg
+// encoder in generate-animation.js. The frame count has to be written
+// before any frame data, so frames are held until finish().
+function createApngEncoder(width, height, frameRate, outputPath, options = {}) {
+    const frames = [];
+    let previous = null;
+
+    return {
+        async writeFrame(pixels) {
+            if (previous && pixels.equals(previous)) {
+                frames[frames.length - 1].count++;
+            } else {
+                frames.push({ data: compressPixels(width, height, pixels), count: 1 });
+            }
+            previous = pixels;
+        },
+        async finish() {
+            const actl = Buffer.alloc(8);
+            actl.writeUInt32BE(frames.length, 0);
+            actl.writeUInt32BE(options.loop ?? 0, 4);
+
+            const parts = [SIGNATURE, ihdr(width, height), pngChunk('acTL', actl)];
+            let sequence = 0;
+            let elapsed = 0;
+            let writtenMs = 0;
+
+            frames.forEach((frame, i) => {
+                // Delays are in milliseconds, rounded against the running total
+                elapsed += frame.count;
+                const delay = Math.round(elapsed / frameRate * 1000) - writtenMs;
+                writtenMs += delay;
+
+                const fctl = Buffer.alloc(26);
+                fctl.writeUInt32BE(sequence++, 0);
+                fctl.writeUInt32BE(width, 4);
+                fctl.writeUInt32BE(height, 8);
+                fctl.writeUInt32BE(0, 12);
+                fctl.writeUInt32BE(0, 16);
+                // Fall back to centiseconds for holds longer than ~65s
+                const centiseconds = delay > 0xffff;
+                fctl.writeUInt16BE(centiseconds ? Math.round(delay / 10) : delay, 20);
+                fctl.writeUInt16BE(centiseconds ? 100 : 1000, 22);
+                fctl[24] = 0;  // dispose: none
+                fctl[25] = 0;  // blend: source
+                parts.push(pngChunk('fcTL', fctl));
+
+                if (i === 0) {
+                    parts.push(pngChunk('IDAT', frame.data));
+                } else {
+                    const sequenceNumber = Buffer.alloc(4);
+                    sequenceNumber.writeUInt32BE(sequence++);
+                    parts.push(pngChunk('fdAT', Buffer.concat([sequenceNumber, frame.data])));
+                }
+            });
+
+            parts.push(pngChunk('IEND', Buffer.alloc(0)));
+            await fs.promises.writeFile(outputPath, Buffer.concat(parts));
+        },
+        abort() {
+            frames.length = 0;
+        }
+    };
+}
+
+module.exports = {
+    crc32,
+    pngChunk,
+    encodePng,
+    createApngEncoder
+};
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { assertValid } = require('./json-schema');
+
+// Named, versioned prompt templates (prompt-templates.json by default).
+// Templates are referenced as "name" (latest version) or "name@version";
+// {{variable}} placeholders are filled from the caller's variables or the
+// template's defaults and {{> partial}} pulls in a shared block of text.
+
+const DEFAULT_TEMPLATES_FILE = path.join(__dirname, 'prompt-templates.json');
+const TEMPLATES_SCHEMA = require('./schemas/prompt-templates.schema.json');
+
+function loadTemplates(filePath = DEFAULT_TEMPLATES_FILE) {
+    const library = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assertValid(TEMPLATES_SCHEMA, library, `prompt templates in ${filePath}`);
+
+    const seen = new Set();
+    for (const template of library.templates) {
+        const ref = `${template.name}@${template.version}`;
+        if (seen.has(ref)) {
+            throw new Error(`${filePath} defines ${ref} more than once`);
+        }
+        seen.add(ref);
+    }
+    return library;
+}
+
+function findTemplate(library, ref) {
+    const [name, version] = ref.split('@');
+    const candidates = library.templates.filter(template => template.name === name);
+    if (candidates.length === 0) {
+        const names = [...new Set(library.templates.map(template => template.name))];
+        throw new Error(`Unknown prompt template "${name}" (expected ${names.join(', ')})`);
+    }
+    if (version === undefined) {
+        return candidates.reduce((latest, template) => template.version > latest.version ? template : latest);
+    }
+    const template = candidates.find(candidate => candidate.version === Number(version));
+    if (!template) {
+        throw new Error(`Prompt template "${name}" has no version ${version} (has ${candidates.map(c => c.version).join(', ')})`);
+    }
+    return template;
+}
+
+function fill(text, values, library, ref) {
+    return text
+        .replace(/\{\{>\s*([\w-]+)\s*\}\}/g, (match, partial) => {
+            if (!library.partials || library.partials[partial] === undefined) {
+                throw new Error(`${ref} uses unknown partial "${partial}"`);
+            }
+            return library.partials[partial];
+        })
+        .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+            if (values[name] === undefined) {
+                throw new Error(`${ref} uses variable "${name}" without a value or default`);
+            }
+            return values[name];
+        });
+}
+
+// Returns { name, version, prompt, systemInstruction, variables }, where
+// variables holds every value used, defaults included, for stamping into
+// outputs
+function renderTemplate(library, ref, variables = {}) {
+    const template = findTemplate(library, ref);
+    const declared = template.variables || {};
+    const id = `${template.name}@${template.version}`;
+
+    for (const name of Object.keys(variables)) {
+        if (!declared[name]) {
+            throw new Error(`${id} has no variable "${name}" (has ${Object.keys(declared).join(', ') || 'none'})`);
+        }
+    }
+
+    const values = {};
+    for (const [name, spec] of Object.entries(declared)) {
+        const value = variables[name] ?? spec.default;
+        if (value !== undefined) values[name] = String(value);
+    }
+
+    return {
+        name: template.name,
+        version: template.version,
+        prompt: fill(template.prompt, values, library, id),
+        systemInstruction: template.systemInstruction === undefined
+            ? undefined
+            : fill(template.systemInstruction, values, library, id),
+        variables: values
+    };
+}
+
+// Shorthand for the default template file
+function renderDefaultTemplate(ref, variables) {
+    return renderTemplate(loadTemplates(), ref, variables);
+}
+
+// Provenance record for outputs: which template, which revision, which values
+function templateStamp(rendered) {
+    return { name: rendered.name, version: rendered.version, variables: rendered.variables };
+}
+
+module.exports = {
+    DEFAULT_TEMPLATES_FILE,
+    loadTemplates,
+    findTemplate,
+    renderTemplate,
+    renderDefaultTemplate,
+    templateStamp
+};
@@ -0,0 +1,281 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const { writeFileAtomicSync, withLockSync } = require('./atomic-file');
+
+// Run manifests tie pipeline artifacts together by content hash. Every
+// step (generate, combine, transform, animate, ...) records what it read,
+// what it wrote, the prompt and model settings that produced it, tool
+// versions and timings. A step whose inputs were written by an earlier
+// step is appended to that step's manifest, so one manifest follows a
+// color sequence from prompt to video. lineage() walks the hashes back.
+//
+// Manifests are run-<timestamp>.manifest.json next to the first step's
+// outputs. PROVENANCE=off disables recording.
+
+const MANIFEST_VERSION = 1;
+const MANIFEST_SUFFIX = '.manifest.json';
+
+function enabled() {
+    return (process.env.PROVENANCE || '').toLowerCase() !== 'off';
+}
+
+function hashFile(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+function describeFile(filePath) {
+    return {
+        path: path.resolve(filePath),
+        sha256: hashFile(filePath),
+        bytes: fs.statSync(filePath).size
+    };
+}
+
+// Versions are looked up once per process
+let toolVersions = null;
+let ffmpegVersion;
+
+function firstLine(command, args, cwd) {
+    try {
+        const result = spawnSync(command, args, { cwd, encoding: 'utf8', timeout: 5000 });
+        return result.status === 0 ? result.stdout.split('\n')[0].trim() : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function getToolVersions(options = {}) {
+    if (!toolVersions) {
+        let sdk = null;
+        try {
+            sdk = require('@google/generative-ai/package.json').version;
+        } catch (error) {
+            // SDK not installed (offline providers only)
+        }
+        toolVersions = {
+            node: process.version,
+            commit: firstLine('git', ['rev-parse', 'HEAD'], __dirname),
+            generativeAiSdk: sdk
+        };
+    }
+    if (!options.ffmpeg) return toolVersions;
+    if (ffmpegVersion === undefined) {
+        ffmpegVersion = firstLine('ffmpeg', ['-version']);
+    }
+    return { ...toolVersions, ffmpeg: ffmpegVersion };
+}
+
+function readManifest(manifestPath) {
+    try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        return manifest && manifest.version === MANIFEST_VERSION && Array.isArray(manifest.steps) ? manifest : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Every readable manifest in the given directories, as { path, manifest }
+function findManifests(dirs) {
+    const found = [];
+    const seen = new Set();
+    for (const dir of dirs) {
+        const resolved = path.resolve(dir);
+        if (seen.has(resolved) || !fs.existsSync(resolved)) continue;
+        seen.add(resolved);
+        for (const name of fs.readdirSync(resolved)) {
+            if (!name.endsWith(MANIFEST_SUFFIX)) continue;
+            const manifestPath = path.join(resolved, name);
+            const manifest = readManifest(manifestPath);
+            if (manifest) found.push({ path: manifestPath, manifest });
+        }
+    }
+    return found;
+}
+
+function writeManifest(manifestPath, manifest) {
+    writeFileAtomicSync(manifestPath, JSON.stringify(manifest, null, 2));
+}
+
+// Steps appending to manifests in one directory take turns, so two steps
+// reading the same artifact at once cannot drop each other's entry
+function withManifestLock(dir, fn) {
+    return withLockSync(path.join(dir, '.manifest.lock'), fn);
+}
+
+// The plain settings of an options object (strings, numbers, booleans and
+// arrays of them), leaving out providers, callbacks and undefined values
+function stepOptions(options = {}) {
+    const plain = value => ['string', 'number', 'boolean'].includes(typeof value);
+    const settings = {};
+    for (const [name, value] of Object.entries(options)) {
+        if (plain(value) || (Array.isArray(value) && value.every(plain))) settings[name] = value;
+    }
+    return settings;
+}
+
+// Start timing a step. details (prompt, systemInstruction, template, model,
+// generationConfig, provider, options, ...) are stored with the step as-is.
+// Call finish({ inputs, outputs }) with file paths once the outputs exist;
+// it returns the manifest path, or null when recording is off.
+function startStep(name, details = {}) {
+    const startedAt = new Date();
+    const start = process.hrtime.bigint();
+
+    return {
+        finish({ inputs = [], outputs = [], ffmpeg = false } = {}) {
+            if (!enabled()) return null;
+
+            const finishedAt = new Date();
+            const step = {
+                step: name,
+                ...details,
+                inputs: inputs.map(describeFile),
+                outputs: outputs.map(describeFile),
+                tools: getToolVersions({ ffmpeg }),
+                startedAt: startedAt.toISOString(),
+                finishedAt: finishedAt.toISOString(),
+                durationMs: Number(process.hrtime.bigint() - start) / 1e6
+            };
+
+            // Extend the manifest that produced one of our inputs, re-reading
+            // it under its directory's lock
+            const inputHashes = new Set(step.inputs.map(input => input.sha256));
+            const dirs = [...inputs, ...outputs].map(file => path.dirname(path.resolve(file)));
+            const parent = findManifests(dirs).find(({ manifest }) =>
+                manifest.steps.some(previous => previous.outputs.some(output => inputHashes.has(output.sha256))));
+
+            if (parent) {
+                return withManifestLock(path.dirname(parent.path), () => {
+                    const manifest = readManifest(parent.path) || parent.manifest;
+                    manifest.steps.push(step);
+                    writeManifest(parent.path, manifest);
+                    return parent.path;
+                });
+            }
+
+            const runId = startedAt.toISOString().replace(/[:.]/g, '-');
+            const dir = path.dirname(path.resolve(outputs[0] || '.'));
+            const manifestPath = path.join(dir, `run-${runId}${MANIFEST_SUFFIX}`);
+            writeManifest(manifestPath, { version: MANIFEST_VERSION, runId, steps: [step] });
+            return manifestPath;
+        }
+    };
+}
+
+// The step that wrote a file with this hash, latest first, from the
+// manifests in dirs
+function findProducer(sha256, manifests) {
+    let best = null;
+    for (const { path: manifestPath, manifest } of manifests) {
+        for (const step of manifest.steps) {
+            if (step.outputs.some(output => output.sha256 === sha256) &&
+                (!best || step.finishedAt > best.step.finishedAt)) {
+                best = { manifestPath, step };
+            }
+        }
+    }
+    return best;
+}
+
+// Directories under dir, `depth` levels down, skipping dot directories and
+// node_modules
+function subdirectories(dir, depth) {
+    if (depth === 0 || !fs.existsSync(dir)) return [];
+    const dirs = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (!entry.isDirectory() || entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+        const child = path.join(dir, entry.name);
+        dirs.push(child, ...subdirectories(child, depth - 1));
+    }
+    return dirs;
+}
+
+// Lineage tree of an artifact: { path, sha256, step, manifest, repeated,
+// inputs } where inputs are the lineages of the files the producing step
+// read, back to the generate step that holds the prompt. A step that
+// already appears elsewhere in the tree is marked repeated and not
+// expanded again. Manifests are searched for in the artifact's directory,
+// the current directory and two levels below it, the directories of every
+// input met on the way and options.dirs.
+function lineage(filePath, options = {}) {
+    const cwd = process.cwd();
+    const dirs = [path.dirname(path.resolve(filePath)), cwd, ...subdirectories(cwd, 2), ...(options.dirs || [])]
+        .map(dir => path.resolve(dir));
+    const seenSteps = new Set();
+
+    function trace(file) {
+        const node = { path: file.path, sha256: file.sha256, step: null, manifest: null, repeated: false, inputs: [] };
+        const producer = findProducer(file.sha256, findManifests(dirs));
+        if (!producer) return node;
+
+        node.step = producer.step;
+        node.manifest = producer.manifestPath;
+        const key = `${producer.manifestPath}#${producer.step.step}@${producer.step.startedAt}`;
+        if (seenSteps.has(key)) {
+            node.repeated = true;
+            return node;
+        }
+        seenSteps.add(key);
+
+        for (const input of producer.step.inputs) {
+            const dir = path.dirname(input.path);
+            if (!dirs.includes(dir)) dirs.push(dir);
+            node.inputs.push(trace(input));
+        }
+        return node;
+    }
+
+    return trace(describeFile(filePath));
+}
+
+function shorten(text, length = 100) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    return flat.length > length ? `${flat.slice(0, length - 3)}...` : flat;
+}
+
+// Human-readable tree of lineage()
+function formatLineage(node, indent = '') {
+    const lines = [`${indent}${path.relative(process.cwd(), node.path) || node.path}  sha256:${node.sha256.slice(0, 12)}`];
+    const inner = `${indent}    `;
+
+    if (!node.step) {
+        lines.push(`${inner}(no manifest records how this file was made)`);
+        return lines.join('\n');
+    }
+
+    const { step } = node;
+    if (node.repeated) {
+        lines.push(`${inner}<- ${step.step} at ${step.startedAt} (see above)`);
+        return lines.join('\n');
+    }
+    lines.push(`${inner}<- ${step.step} at ${step.startedAt} (${Math.round(step.durationMs)} ms, ${path.relative(process.cwd(), node.manifest)})`);
+    if (step.template) {
+        lines.push(`${inner}   template: ${step.template.name}@${step.template.version} ${JSON.stringify(step.template.variables)}`);
+    }
+    if (step.provider || step.model) {
+        lines.push(`${inner}   model: ${step.model || '(default)'} via ${step.provider || 'unknown provider'}`);
+    }
+    if (step.generationConfig) {
+        lines.push(`${inner}   generationConfig: ${JSON.stringify(step.generationConfig)}`);
+    }
+    if (step.prompt) {
+        lines.push(`${inner}   prompt: ${JSON.stringify(shorten(step.prompt))}`);
+    }
+    for (const input of node.inputs) {
+        lines.push(formatLineage(input, inner));
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    MANIFEST_SUFFIX,
+    hashFile,
+    getToolVersions,
+    findManifests,
+    stepOptions,
+    startStep,
+    lineage,
+    formatLineage
+};
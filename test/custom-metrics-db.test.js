@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AIMetricsSystem = require('../custom-metrics-db');
+
+// A snapshot as updateMetrics() wrote it before total_manual_scripts,
+// failed_runs and open_errors were counted (see ai_metrics_db/metrics)
+const OLD_SNAPSHOT = {
+    id: 1,
+    timestamp: '2024-12-14T00:51:33.124Z',
+    total_scripts: 1,
+    total_runs: 0,
+    total_errors: 1,
+    avg_chars_per_script: 20,
+    errors_per_minute: 1
+};
+
+function dbWithOldSnapshot(t) {
+    const basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-db-'));
+    t.after(() => fs.rmSync(basePath, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(basePath, 'metrics'));
+    fs.writeFileSync(path.join(basePath, 'metrics', '1_2024-12-14T00-51-33-124Z.json'),
+        JSON.stringify(OLD_SNAPSHOT, null, 2));
+    return basePath;
+}
+
+test('a snapshot from before later figures were counted reads back without them', async t => {
+    const metrics = new AIMetricsSystem(dbWithOldSnapshot(t));
+    await metrics.init();
+
+    assert.deepStrictEqual(await metrics.db.get('metrics', 1), OLD_SNAPSHOT);
+    assert.deepStrictEqual(await metrics.db.query('metrics'), [OLD_SNAPSHOT]);
+    assert.deepStrictEqual(await metrics.db.query('metrics', { open_errors: { $exists: false } }), [OLD_SNAPSHOT]);
+    assert.deepStrictEqual((await metrics.generateReport()).metrics, OLD_SNAPSHOT);
+});
+
+test('new snapshots next to an old one count failed runs and open errors', async t => {
+    const metrics = new AIMetricsSystem(dbWithOldSnapshot(t));
+    await metrics.init();
+    const scriptId = await metrics.recordScript('throw new Error()');
+    await metrics.recordScriptRun(scriptId, 10, 1);
+    await metrics.recordError(scriptId, 'Error', null);
+
+    const id = await metrics.updateMetrics();
+    const snapshot = await metrics.db.get('metrics', id);
+    assert.strictEqual(id, 2);
+    assert.strictEqual(snapshot.failed_runs, 1);
+    assert.strictEqual(snapshot.open_errors, 1);
+    assert.deepStrictEqual(await metrics.db.get('metrics', 1), OLD_SNAPSHOT);
+});